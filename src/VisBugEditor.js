@@ -16,12 +16,20 @@
 import { HistoryManager } from "./features/history.js";
 import { Selectable } from "./features/selectable.js";
 import { Position } from "./features/position.js";
-import { EditText } from "./features/text.js";
+import { TextTool } from "./features/text.js";
+import { Sanitizer } from "./features/sanitize.js";
 import { Font } from "./features/font.js";
+import { resolveKeymap } from "./features/keymap.js";
+import { builtinCommands } from "./features/commands.js";
 import {
-  watchImagesForUpload,
-  setHistoryManager as setImageSwapHistoryManager,
-} from "./features/imageswap.js";
+  HotkeyBinder,
+  registerHotkeyOwner,
+  claimHotkeys,
+  releaseHotkeys,
+} from "./features/hotkeys.js";
+import { Autosave } from "./features/autosave.js";
+import { editorUISelector } from "./utilities/index.js";
+import { ImageSwap } from "./features/imageswap.js";
 
 export class VisBugEditor {
   /**
@@ -37,6 +45,21 @@ export class VisBugEditor {
    * @param {Function} [options.onImageUpload] - Async callback for handling image uploads
    * @param {Object} [options.styles] - Custom styles for editor UI
    * @param {boolean} [options.clearHistoryOnSetContent=true] - Whether to clear history when setContent is called
+   * @param {Function} [options.beforeChange] - Called with each Change before it is recorded.
+   *   Return false (or throw) to veto the edit and roll the DOM back, or return a Change to apply instead
+   * @param {boolean|Object} [options.autosave] - Save a draft after edits: true or { adapter, key, delay }
+   * @param {Object} [options.keymap] - Key combos by command name, overriding the defaults. null disables a command
+   * @param {string} [options.pastePosition='after'] - Where pasted elements go relative to the selection:
+   *   'before', 'after', 'first' or 'last' (inside it)
+   * @param {Object} [options.groupWrapper] - Element the group command wraps with: { tag = 'div', className }
+   * @param {string} [options.marqueeMode='intersect'] - Marquee selects elements it 'intersect's or fully 'contain's
+   * @param {string} [options.positioning='offset'] - How elements move when dragged, nudged or aligned:
+   *   'offset' (position: relative with left/top), 'transform' (translate) or 'margin'
+   * @param {string} [options.dragMode='move'] - Dragging 'move's elements, or 'reorder's them in the DOM
+   * @param {boolean|Object} [options.snap=true] - Snap dragged elements: true, false or
+   *   { grid, threshold, container, siblings }
+   * @param {boolean|Object} [options.sanitize=true] - Clean pasted HTML and setContent(): true, false or
+   *   { tags, attributes, styles, plainText, transform }
    */
   constructor(options = {}) {
     // Validate required options
@@ -59,9 +82,21 @@ export class VisBugEditor {
     // State
     this.currentTool = null;
     this.activeFeature = null;
+    this.toolHotkeys = null; // Hotkey binder of the active tool
+    this.tools = new Map(); // Tool name -> factory
+    this.commands = new Map(); // Command name -> handler
     this.selectorEngine = null;
+    this.imageSwap = null;
     this.isInitialized = false;
     this.ignoreSelectors = []; // CSS selectors to ignore for hover and select
+    this.listeners = {}; // Event listeners registered through on()
+    this.claimHotkeys = this.claimHotkeys.bind(this); // Used as container listener
+    this.keymap = resolveKeymap(options.keymap); // Command name -> keys
+    this.autosave = null;
+    this.sanitizer =
+      options.sanitize === false
+        ? null
+        : Sanitizer(typeof options.sanitize === "object" ? options.sanitize : {});
 
     // Determine where to append UI elements
     // undefined (default) = append to body
@@ -69,7 +104,10 @@ export class VisBugEditor {
     this.uiContainer = this.mode === 'inside' ? this.container : document.body;
 
     // Initialize history manager
-    this.historyManager = new HistoryManager();
+    this.historyManager = new HistoryManager({
+      beforeChange: options.beforeChange,
+      root: this.container,
+    });
 
     // Setup change listener on history
     this.historyManager.on("change", () => {
@@ -81,6 +119,42 @@ export class VisBugEditor {
       }
     });
 
+    // Forward history events to editor listeners
+    this.historyManager.on("beforecommit", (change) =>
+      this.emit("beforechange", change)
+    );
+    ["commit", "undo", "redo"].forEach((action) =>
+      this.historyManager.on(action, (change) =>
+        this.emit("change", {
+          change,
+          action: action === "commit" ? "push" : action,
+          canUndo: this.historyManager.canUndo(),
+          canRedo: this.historyManager.canRedo(),
+        })
+      )
+    );
+
+    // Start autosave and announce a draft left by a previous session
+    if (options.autosave) {
+      this.autosave = Autosave(
+        this,
+        options.autosave === true ? {} : options.autosave
+      );
+      this.autosave.load().then((draft) => {
+        if (draft) this.emit("autosave:draft", { savedAt: draft.savedAt });
+      });
+    }
+
+    // Register built-in commands through the same API as custom commands
+    Object.entries(builtinCommands).forEach(([name, handler]) =>
+      this.registerCommand(name, handler)
+    );
+
+    // Register built-in tools through the same API as custom tools
+    this.registerTool("position", Position);
+    this.registerTool("text", TextTool);
+    this.registerTool("font", Font);
+
     // Initialize the editor
     this.init();
   }
@@ -91,6 +165,11 @@ export class VisBugEditor {
    */
   init() {
     try {
+      // Hotkeys go to the editor whose container was last clicked or focused
+      registerHotkeyOwner(this);
+      this.container.addEventListener("pointerdown", this.claimHotkeys, true);
+      this.container.addEventListener("focusin", this.claimHotkeys, true);
+
       // Initialize selection engine
       this.selectorEngine = Selectable(this);
 
@@ -107,8 +186,8 @@ export class VisBugEditor {
       });
 
       // Initialize image swap (always active)
-      setImageSwapHistoryManager(this.historyManager);
-      watchImagesForUpload();
+      this.imageSwap = ImageSwap(this);
+      this.imageSwap.watch();
 
       // Activate initial tool
       if (this.initialTool) {
@@ -123,6 +202,108 @@ export class VisBugEditor {
     }
   }
 
+  /**
+   * Route hotkeys to this editor until the user interacts with another one
+   *
+   * Only needed with several editors on one page. Clicking or focusing
+   * inside a container does this automatically.
+   */
+  claimHotkeys() {
+    claimHotkeys(this);
+  }
+
+  /**
+   * Register a command for execute()
+   *
+   * The handler is called with (args, editor). `args.elements` defaults to the
+   * current selection. Registering a built-in name replaces the built-in.
+   *
+   * @param {string} name - Command name
+   * @param {Function} handler - Runs the command
+   * @returns {VisBugEditor} - Returns this for method chaining
+   */
+  registerCommand(name, handler) {
+    if (typeof handler !== "function") {
+      throw new Error("registerCommand expects a handler function");
+    }
+
+    this.commands.set(name, handler);
+    return this;
+  }
+
+  /**
+   * Run a command, the same way its keyboard shortcut does
+   *
+   * @example
+   * editor.execute("duplicate")
+   * editor.execute("nudge", { direction: "left", amount: 10 })
+   * editor.execute("fontSize", { direction: "up", elements: [heading] })
+   *
+   * @param {string} name - Command name
+   * @param {Object} [args={}] - Command arguments
+   * @returns {*} - The command's return value, undefined for unknown commands
+   */
+  execute(name, args = {}) {
+    const handler = this.commands.get(name);
+
+    if (!handler) {
+      console.warn(`Unknown command: ${name}`);
+      return;
+    }
+
+    return handler(
+      { ...args, elements: args.elements ?? [...this.getSelectedElements()] },
+      this
+    );
+  }
+
+  /**
+   * Get the names of all registered commands
+   * @returns {string[]}
+   */
+  getCommands() {
+    return [...this.commands.keys()];
+  }
+
+  /**
+   * Change key combos by command name
+   *
+   * Overrides are merged into the current keymap. Set a command to null to
+   * disable it. Conflicting combos are reported with console.warn.
+   *
+   * @example
+   * editor.setKeymap({ duplicate: "shift+d", delete: null })
+   *
+   * @param {Object} overrides - Command name -> keys
+   * @returns {VisBugEditor} - Returns this for method chaining
+   */
+  setKeymap(overrides) {
+    this.keymap = resolveKeymap(overrides, this.keymap);
+
+    this.selectorEngine?.rebindHotkeys();
+    this.toolHotkeys?.rebind();
+
+    this.emit("keymapchange", this.getKeymap());
+    return this;
+  }
+
+  /**
+   * Get the key combos of all commands, e.g. to render a cheatsheet
+   * @returns {Object} - Command name -> keys, null for disabled commands
+   */
+  getKeymap() {
+    return { ...this.keymap };
+  }
+
+  /**
+   * Create a hotkey binder owned by this editor
+   * @private
+   * @returns {Object}
+   */
+  createHotkeyBinder() {
+    return HotkeyBinder(this, (command) => this.keymap[command] || null);
+  }
+
   /**
    * Get the editing context (container)
    * @private
@@ -141,51 +322,88 @@ export class VisBugEditor {
     return this.uiContainer;
   }
 
+  /**
+   * Register an editing tool
+   *
+   * The factory is called each time the tool is activated with a context object
+   * ({ editor, container, uiContainer, historyManager, selection, select, hotkeys,
+   * bindCommand, execute, emit }) and should return { onNodesSelected, disconnect }. Hotkeys
+   * bound through context.hotkeys or context.bindCommand are unbound automatically
+   * when the tool is deactivated.
+   *
+   * @param {string} name - Tool name used with activateTool()
+   * @param {Function} factory - Creates the tool from a context object
+   * @returns {VisBugEditor} - Returns this for method chaining
+   */
+  registerTool(name, factory) {
+    if (typeof factory !== "function") {
+      throw new Error("registerTool expects a factory function");
+    }
+
+    this.tools.set(name, factory);
+
+    // Re-create the tool if it was replaced while active
+    if (this.currentTool === name) {
+      this.activateTool(name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the names of all registered tools
+   * @returns {string[]}
+   */
+  getTools() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * Create the context object handed to tool factories
+   * @private
+   * @param {Object} toolHotkeys - Hotkey binder owned by the tool
+   * @returns {Object}
+   */
+  createToolContext(toolHotkeys) {
+    return {
+      editor: this,
+      container: this.container,
+      uiContainer: this.uiContainer,
+      historyManager: this.historyManager,
+      selection: () => this.getSelectedElements(),
+      select: (elements) => this.selectElements(elements),
+      hotkeys: toolHotkeys.bind,
+      bindCommand: toolHotkeys.bindCommand,
+      execute: (name, args) => this.execute(name, args),
+      sanitize: (html, context) => this.sanitize(html, context),
+      emit: (eventName, data) => this.emit(eventName, data),
+    };
+  }
+
   /**
    * Activate a specific editing tool
    *
-   * @param {string} toolName - The tool to activate ('position', 'text', 'font')
+   * @param {string} toolName - The tool to activate ('position', 'text', 'font' or a registered tool)
    */
   activateTool(toolName) {
-    // Deactivate current tool
-    if (this.activeFeature?.disconnect) {
-      this.activeFeature.disconnect();
-      this.activeFeature = null;
+    const factory = this.tools.get(toolName);
+
+    if (!factory) {
+      console.warn(`Unknown tool: ${toolName}`);
+      return;
     }
 
+    // Deactivate current tool
+    this.deactivateTool();
+
     // Activate new tool
-    switch (toolName) {
-      case "position":
-        this.activeFeature = Position(this.historyManager);
-        // Update with current selection
-        const currentSelection = this.getSelectedElements();
-        if (currentSelection.length > 0) {
-          this.activeFeature.onNodesSelected(currentSelection);
-        }
-        break;
-
-      case "text":
-        // Text editing is triggered on selection
-        this.activeFeature = {
-          onNodesSelected: (elements) => {
-            if (elements.length > 0) {
-              EditText(elements, this.historyManager);
-            }
-          },
-          disconnect: () => {},
-        };
-        break;
-
-      case "font":
-        this.activeFeature = Font({
-          selection: () => this.getSelectedElements(),
-          historyManager: this.historyManager,
-        });
-        break;
+    this.toolHotkeys = this.createHotkeyBinder();
+    this.activeFeature = factory(this.createToolContext(this.toolHotkeys)) || {};
 
-      default:
-        console.warn(`Unknown tool: ${toolName}`);
-        return;
+    // Update with current selection
+    const currentSelection = this.getSelectedElements();
+    if (currentSelection.length > 0 && this.activeFeature.onNodesSelected) {
+      this.activeFeature.onNodesSelected(currentSelection);
     }
 
     // Store current tool
@@ -196,9 +414,28 @@ export class VisBugEditor {
       this.onToolChange(toolName);
     }
 
+    this.emit("toolchange", toolName);
+
     console.log(`Activated tool: ${toolName}`);
   }
 
+  /**
+   * Disconnect the active tool and release its hotkeys
+   * @private
+   */
+  deactivateTool() {
+    if (this.activeFeature?.disconnect) {
+      this.activeFeature.disconnect();
+    }
+
+    if (this.toolHotkeys) {
+      this.toolHotkeys.unbindAll();
+    }
+
+    this.activeFeature = null;
+    this.toolHotkeys = null;
+  }
+
   /**
    * Get the currently active tool
    * @returns {string|null}
@@ -217,6 +454,16 @@ export class VisBugEditor {
     }
   }
 
+  /**
+   * Select the elements in the container matching a CSS selector,
+   * skipping ignored elements
+   * @param {string} selector - CSS selector, e.g. '.card h3'
+   * @returns {HTMLElement[]} - The new selection
+   */
+  selectBySelector(selector) {
+    return this.selectorEngine ? this.selectorEngine.selectBySelector(selector) : [];
+  }
+
   /**
    * Select multiple elements
    * @param {HTMLElement[]} elements - Elements to select
@@ -292,6 +539,51 @@ export class VisBugEditor {
     this.historyManager.clear();
   }
 
+  /**
+   * Export the undo/redo history as JSON
+   *
+   * Elements are stored as paths relative to the container, so save the result
+   * together with getContent() taken at the same moment.
+   *
+   * @returns {Object} - JSON-serializable history
+   */
+  exportHistory() {
+    return this.historyManager.serialize(this.container);
+  }
+
+  /**
+   * Restore history exported with exportHistory()
+   *
+   * Call after setContent() with the content that was saved alongside the history.
+   *
+   * @param {Object|string} json - Serialized history
+   */
+  importHistory(json) {
+    this.historyManager.load(json, this.container);
+  }
+
+  /**
+   * Replace the content and history with the autosaved draft, if there is one
+   * @returns {Promise<boolean>} - True if a draft was restored
+   */
+  async restoreDraft() {
+    if (!this.autosave) {
+      console.warn("restoreDraft requires the autosave option");
+      return false;
+    }
+    return this.autosave.restore();
+  }
+
+  /**
+   * Delete the autosaved draft, e.g. after the content was saved elsewhere
+   * @returns {Promise<void>}
+   */
+  async clearDraft() {
+    if (this.autosave) {
+      await this.autosave.clear();
+    }
+  }
+
   /**
    * Set CSS selectors to ignore for hover and select actions
    * @param {string[]} selectors - Array of CSS selector strings to ignore
@@ -322,9 +614,7 @@ export class VisBugEditor {
     const clone = context.cloneNode(true);
 
     // Remove all editor UI elements
-    const editorElements = clone.querySelectorAll(
-      "visbug-handles, visbug-label, visbug-hover, visbug-overlay, [data-visbug-ignore]"
-    );
+    const editorElements = clone.querySelectorAll(editorUISelector);
     editorElements.forEach((el) => el.remove());
 
     // Remove editor-specific data attributes
@@ -343,26 +633,76 @@ export class VisBugEditor {
   /**
    * Set content (replaces all user content)
    * @param {string} htmlString - HTML content to set
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreSelection=false] - Reselect the elements at the same positions in the new content
+   * @param {boolean} [options.sanitize=true] - Remove scripts, event handlers and script URLs first
    */
-  setContent(htmlString) {
+  setContent(htmlString, { restoreSelection = false, sanitize = true } = {}) {
     const context = this.getEditingContext();
 
-    // Clear selection first
-    this.clearSelection();
+    // Remember the selection while it is still in the document
+    const paths = restoreSelection ? this.getSelectionPaths() : [];
 
     // Remove old editor UI elements
     this.removeEditorUI();
 
     // Set new content
-    context.innerHTML = htmlString;
+    context.innerHTML = sanitize ? this.sanitize(htmlString) : htmlString;
 
     // Optionally clear history
     if (this.options.clearHistoryOnSetContent !== false) {
       this.historyManager.clear();
     }
 
-    // TODO: Re-initialize editor on new elements when selection engine is ready
-    // this.selectorEngine?.refresh()
+    this.rebind(paths);
+  }
+
+  /**
+   * Clean HTML with the editor's sanitizer, see the sanitize option
+   * @param {string} html - HTML to clean
+   * @param {Object} [context]
+   * @param {string} [context.source='content'] - 'paste', 'text' or 'content', passed to the transform hook
+   * @returns {string} - Clean HTML, or the HTML as is when sanitizing is off
+   */
+  sanitize(html, context) {
+    return this.sanitizer ? this.sanitizer.sanitize(html, context) : html;
+  }
+
+  /**
+   * Rebind selection, image drop targets and observers to the current DOM
+   *
+   * Call after replacing the container's content without setContent().
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreSelection=false] - Reselect the elements at the paths the selection had
+   */
+  refresh({ restoreSelection = false } = {}) {
+    this.removeEditorUI();
+    this.rebind(restoreSelection ? this.getSelectionPaths() : []);
+  }
+
+  /**
+   * Paths of the selected elements relative to the container
+   * @private
+   * @returns {number[][]}
+   */
+  getSelectionPaths() {
+    return this.selectorEngine ? this.selectorEngine.selectionPaths() : [];
+  }
+
+  /**
+   * Drop state bound to the old DOM and reselect the elements at the given paths
+   * @private
+   * @param {number[][]} paths - Selection paths to restore
+   */
+  rebind(paths) {
+    if (this.selectorEngine) {
+      this.selectorEngine.refresh(paths);
+    }
+
+    if (this.imageSwap) {
+      this.imageSwap.watch();
+    }
   }
 
   /**
@@ -371,20 +711,33 @@ export class VisBugEditor {
    */
   removeEditorUI() {
     const ui = this.getUIContainer();
-    const editorElements = ui.querySelectorAll(
-      "visbug-handles, visbug-label, visbug-hover, visbug-overlay, [data-visbug-ignore]"
-    );
+    const editorElements = ui.querySelectorAll(editorUISelector);
     editorElements.forEach((el) => el.remove());
   }
 
   /**
    * Add event listener
+   *
+   * Available events: 'selectionchange', 'toolchange', 'change', 'beforechange',
+   * 'textedit:start', 'textedit:end', 'drag:start', 'drag:move', 'drag:end',
+   * 'resize:start', 'resize:move', 'resize:end', 'image:drop', 'autosave:draft',
+   * 'autosave:save', 'autosave:restore', 'autosave:error', 'keymapchange' and 'destroy'.
+   *
    * @param {string} eventName - Event name
    * @param {Function} callback - Callback function
+   * @returns {Function} - Call to remove the listener
    */
   on(eventName, callback) {
-    // TODO: Implement event system
-    console.log(`Event listener added: ${eventName}`);
+    if (typeof callback !== "function") {
+      throw new Error("on expects a callback function");
+    }
+
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(callback);
+
+    return () => this.off(eventName, callback);
   }
 
   /**
@@ -393,24 +746,62 @@ export class VisBugEditor {
    * @param {Function} callback - Callback function
    */
   off(eventName, callback) {
-    // TODO: Implement event system
-    console.log(`Event listener removed: ${eventName}`);
+    if (!this.listeners[eventName]) return;
+    this.listeners[eventName] = this.listeners[eventName].filter(
+      (cb) => cb !== callback
+    );
+  }
+
+  /**
+   * Notify listeners of an event
+   * @private
+   * @param {string} eventName - Event name
+   * @param {*} data - Event payload
+   */
+  emit(eventName, data) {
+    if (!this.listeners[eventName]) return;
+
+    // Copy so listeners can unsubscribe while being notified
+    [...this.listeners[eventName]].forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        // A failing listener must not interrupt the edit that triggered it
+        console.error(`Error in "${eventName}" listener:`, error);
+      }
+    });
   }
 
   /**
    * Destroy the editor and clean up
    */
   destroy() {
-    // Disconnect active feature
-    if (this.activeFeature?.disconnect) {
-      this.activeFeature.disconnect();
+    this.emit("destroy", this);
+
+    // Write any pending draft before history is cleared
+    if (this.autosave) {
+      this.autosave.disconnect();
+      this.autosave = null;
     }
 
+    // Disconnect active feature
+    this.deactivateTool();
+
     // Disconnect selector engine
     if (this.selectorEngine?.disconnect) {
       this.selectorEngine.disconnect();
     }
 
+    // Hand the keyboard back to other editors
+    releaseHotkeys(this);
+    this.container.removeEventListener("pointerdown", this.claimHotkeys, true);
+    this.container.removeEventListener("focusin", this.claimHotkeys, true);
+
+    // Stop accepting image drops
+    if (this.imageSwap) {
+      this.imageSwap.unwatch();
+    }
+
     // Remove editor UI
     this.removeEditorUI();
 
@@ -421,7 +812,12 @@ export class VisBugEditor {
     this.isInitialized = false;
     this.currentTool = null;
     this.activeFeature = null;
+    this.toolHotkeys = null;
+    this.tools = new Map();
+    this.commands = new Map();
     this.selectorEngine = null;
+    this.imageSwap = null;
+    this.listeners = {};
 
     console.log("VisBugEditor destroyed");
   }
@@ -0,0 +1,43 @@
+import { DistanceStyles } from "./styles.store.js";
+
+export class Distance extends HTMLElement {
+  constructor() {
+    super();
+    this.$shadow = this.attachShadow({ mode: "closed" });
+    this._measurements = [];
+  }
+
+  connectedCallback() {
+    this.$shadow.adoptedStyleSheets = [DistanceStyles];
+    this.$shadow.innerHTML = this.render();
+    this.setAttribute("popover", "manual");
+    this.showPopover && this.showPopover();
+  }
+
+  disconnectedCallback() {
+    this.hidePopover && this.hidePopover();
+  }
+
+  // Viewport coordinates, see measureDistances()
+  set measurements(measurements) {
+    this._measurements = measurements;
+    this.$shadow.innerHTML = this.render();
+  }
+
+  render() {
+    return this._measurements
+      .map(({ side, distance, x1, y1, x2, y2 }) => {
+        const vertical = x1 === x2;
+        const style = `--left:${Math.min(x1, x2)}px;--top:${Math.min(y1, y2)}px;--width:${Math.abs(x2 - x1)}px;--height:${Math.abs(y2 - y1)}px`;
+
+        return `
+          <div class="line ${vertical ? "vertical" : "horizontal"}" data-side="${side}" style="${style}">
+            <span>${distance}px</span>
+          </div>
+        `;
+      })
+      .join("");
+  }
+}
+
+customElements.define("visbug-distance", Distance);
@@ -0,0 +1,105 @@
+import { FormatBarStyles } from "./styles.store.js";
+
+const inlineActions = [
+  { action: "bold", label: "B", title: "Bold" },
+  { action: "italic", label: "I", title: "Italic" },
+  { action: "underline", label: "U", title: "Underline" },
+  { action: "strikethrough", label: "S", title: "Strikethrough" },
+  { action: "link", label: "Link", title: "Add or remove link" },
+  { action: "clear", label: "Clear", title: "Clear formatting" },
+];
+
+const blockTags = ["p", "h1", "h2", "h3"];
+
+// Only text blocks can switch tags, a div or list would end up invalid
+const switchableTags = ["p", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+export class FormatBar extends HTMLElement {
+  constructor() {
+    super();
+    this.$shadow = this.attachShadow({ mode: "closed" });
+    this.on_mousedown = this.on_mousedown.bind(this);
+    this.on_click = this.on_click.bind(this);
+  }
+
+  connectedCallback() {
+    this.$shadow.adoptedStyleSheets = [FormatBarStyles];
+    this.setAttribute("popover", "manual");
+    this.showPopover && this.showPopover();
+    this.$shadow.addEventListener("mousedown", this.on_mousedown);
+    this.$shadow.addEventListener("click", this.on_click);
+  }
+
+  disconnectedCallback() {
+    this.hidePopover && this.hidePopover();
+    this.$shadow.removeEventListener("mousedown", this.on_mousedown);
+    this.$shadow.removeEventListener("click", this.on_click);
+  }
+
+  // Keep focus and the text selection in the element being edited
+  on_mousedown(e) {
+    e.preventDefault();
+  }
+
+  on_click(e) {
+    const button = e.target.closest("button");
+    if (!button) return;
+
+    this.dispatchEvent(
+      new CustomEvent("format", {
+        detail: {
+          action: button.dataset.action,
+          value: button.dataset.value,
+        },
+      })
+    );
+  }
+
+  set position({ boundingRect, isFixed, uiContainer, tag }) {
+    this.$shadow.innerHTML = this.render(tag);
+    this.update = { boundingRect, isFixed, uiContainer };
+  }
+
+  set update({ boundingRect, isFixed, uiContainer }) {
+    // Calculate offset if uiContainer is not body
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if (uiContainer && uiContainer !== document.body) {
+      const containerRect = uiContainer.getBoundingClientRect();
+      offsetX = containerRect.left + (isFixed ? 0 : window.scrollX);
+      offsetY = containerRect.top + (isFixed ? 0 : window.scrollY);
+    }
+
+    const top = boundingRect.y + (isFixed ? 0 : window.scrollY) - offsetY;
+    const left = boundingRect.x - offsetX;
+
+    this.style.setProperty("--top", `${top}px`);
+    this.style.setProperty("--left", `${left}px`);
+    this.style.setProperty("--position", isFixed ? "fixed" : "absolute");
+  }
+
+  render(tag) {
+    const inline = inlineActions
+      .map(
+        ({ action, label, title }) =>
+          `<button type="button" data-action="${action}" title="${title}">${label}</button>`
+      )
+      .join("");
+
+    if (!switchableTags.includes(tag)) return `<div role="toolbar">${inline}</div>`;
+
+    const blocks = blockTags
+      .map(
+        (blockTag) =>
+          `<button type="button" data-action="block" data-value="${blockTag}"${
+            blockTag === tag ? ' aria-pressed="true"' : ""
+          }>${blockTag.toUpperCase()}</button>`
+      )
+      .join("");
+
+    return `<div role="toolbar">${inline}<span></span>${blocks}</div>`;
+  }
+}
+
+customElements.define("visbug-formatbar", FormatBar);
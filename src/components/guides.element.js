@@ -0,0 +1,41 @@
+import { GuidesStyles } from "./styles.store.js";
+
+export class Guides extends HTMLElement {
+  constructor() {
+    super();
+    this.$shadow = this.attachShadow({ mode: "closed" });
+    this._lines = [];
+  }
+
+  connectedCallback() {
+    this.$shadow.adoptedStyleSheets = [GuidesStyles];
+    this.$shadow.innerHTML = this.render();
+    this.setAttribute("popover", "manual");
+    this.showPopover && this.showPopover();
+  }
+
+  disconnectedCallback() {
+    this.hidePopover && this.hidePopover();
+  }
+
+  // Viewport coordinates, each line is { x1, y1, x2, y2 } and either vertical or horizontal
+  set lines(lines) {
+    this._lines = lines;
+    this.$shadow.innerHTML = this.render();
+  }
+
+  render() {
+    return this._lines
+      .map(({ x1, y1, x2, y2 }) => {
+        const left = Math.min(x1, x2);
+        const top = Math.min(y1, y2);
+        const width = Math.abs(x2 - x1);
+        const height = Math.abs(y2 - y1);
+
+        return `<div class="${width ? "horizontal" : "vertical"}" style="--left:${left}px;--top:${top}px;--width:${width}px;--height:${height}px"></div>`;
+      })
+      .join("");
+  }
+}
+
+customElements.define("visbug-guides", Guides);
@@ -56,6 +56,7 @@ export class Handle extends HTMLElement {
 
     // Store initial values for history tracking
     const historyManager = handlesEl.historyManager;
+    const emit = handlesEl.emit || (() => {});
     const initialValues = {
       width: sourceEl.style.width,
       height: sourceEl.style.height,
@@ -72,6 +73,13 @@ export class Handle extends HTMLElement {
 
     document.addEventListener("pointermove", on_element_resize_move);
 
+    emit("resize:start", {
+      element: sourceEl,
+      placement,
+      width: initialWidth,
+      height: initialHeight,
+    });
+
     function on_element_resize_move(e) {
       e.preventDefault();
       e.stopPropagation();
@@ -82,6 +90,13 @@ export class Handle extends HTMLElement {
       const diffX = newX - initialX;
       const diffY = newY - initialY;
 
+      emit("resize:move", {
+        element: sourceEl,
+        placement,
+        deltaX: diffX,
+        deltaY: diffY,
+      });
+
       switch (placement) {
         case "top-start": {
           const newWidth = initialWidth - diffX;
@@ -236,6 +251,13 @@ export class Handle extends HTMLElement {
           historyManager.push(changes[0]);
         }
       }
+
+      emit("resize:end", {
+        element: sourceEl,
+        placement,
+        width: sourceEl.style.width,
+        height: sourceEl.style.height,
+      });
     }
   }
 
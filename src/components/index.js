@@ -12,6 +12,11 @@ import "./label.element.js";
 import "./hover.element.js";
 import "./overlay.element.js";
 import "./offscreenLabel.element.js";
+import "./formatbar.element.js";
+import "./marquee.element.js";
+import "./guides.element.js";
+import "./distance.element.js";
+import "./insertion.element.js";
 
 // Also export the classes for advanced usage
 export { Handle } from "./handle.element.js";
@@ -20,3 +25,8 @@ export { Label } from "./label.element.js";
 export { Hover } from "./hover.element.js";
 export { Overlay } from "./overlay.element.js";
 export { OffscreenLabel } from "./offscreenLabel.element.js";
+export { FormatBar } from "./formatbar.element.js";
+export { Marquee } from "./marquee.element.js";
+export { Guides } from "./guides.element.js";
+export { Distance } from "./distance.element.js";
+export { Insertion } from "./insertion.element.js";
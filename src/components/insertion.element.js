@@ -0,0 +1,34 @@
+import { InsertionStyles } from "./styles.store.js";
+
+export class Insertion extends HTMLElement {
+  constructor() {
+    super();
+    this.$shadow = this.attachShadow({ mode: "closed" });
+  }
+
+  connectedCallback() {
+    this.$shadow.adoptedStyleSheets = [InsertionStyles];
+    this.$shadow.innerHTML = this.render();
+    this.setAttribute("popover", "manual");
+    this.showPopover && this.showPopover();
+  }
+
+  disconnectedCallback() {
+    this.hidePopover && this.hidePopover();
+  }
+
+  // Viewport coordinates, a line when width or height is 0, an outline otherwise
+  set position({ left, top, width, height }) {
+    this.style.setProperty("--top", `${top}px`);
+    this.style.setProperty("--left", `${left}px`);
+    this.style.setProperty("--width", `${width}px`);
+    this.style.setProperty("--height", `${height}px`);
+    this.toggleAttribute("outline", Boolean(width && height));
+  }
+
+  render() {
+    return `<div></div>`;
+  }
+}
+
+customElements.define("visbug-insertion", Insertion);
@@ -0,0 +1,33 @@
+import { MarqueeStyles } from "./styles.store.js";
+
+export class Marquee extends HTMLElement {
+  constructor() {
+    super();
+    this.$shadow = this.attachShadow({ mode: "closed" });
+  }
+
+  connectedCallback() {
+    this.$shadow.adoptedStyleSheets = [MarqueeStyles];
+    this.$shadow.innerHTML = this.render();
+    this.setAttribute("popover", "manual");
+    this.showPopover && this.showPopover();
+  }
+
+  disconnectedCallback() {
+    this.hidePopover && this.hidePopover();
+  }
+
+  // Viewport coordinates, the rectangle is position: fixed
+  set position({ left, top, width, height }) {
+    this.style.setProperty("--top", `${top}px`);
+    this.style.setProperty("--left", `${left}px`);
+    this.style.setProperty("--width", `${width}px`);
+    this.style.setProperty("--height", `${height}px`);
+  }
+
+  render() {
+    return `<div></div>`;
+  }
+}
+
+customElements.define("visbug-marquee", Marquee);
@@ -11,6 +11,11 @@ import hover_css from "../styles/hover.element.css";
 import label_css from "../styles/label.element.css";
 import overlay_css from "../styles/overlay.element.css";
 import offscreenLabel_css from "../styles/offscreenLabel.element.css";
+import formatbar_css from "../styles/formatbar.element.css";
+import marquee_css from "../styles/marquee.element.css";
+import guides_css from "../styles/guides.element.css";
+import distance_css from "../styles/distance.element.css";
+import insertion_css from "../styles/insertion.element.css";
 
 /**
  * Create a CSSStyleSheet from CSS string
@@ -30,6 +35,11 @@ export const HoverStyles = constructStylesheet(hover_css);
 export const LabelStyles = constructStylesheet(label_css);
 export const OverlayStyles = constructStylesheet(overlay_css);
 export const OffscreenLabelStyles = constructStylesheet(offscreenLabel_css);
+export const FormatBarStyles = constructStylesheet(formatbar_css);
+export const MarqueeStyles = constructStylesheet(marquee_css);
+export const GuidesStyles = constructStylesheet(guides_css);
+export const DistanceStyles = constructStylesheet(distance_css);
+export const InsertionStyles = constructStylesheet(insertion_css);
 
 // Theme support (simplified - no theme switching for now)
 // These can be expanded later if theme support is needed
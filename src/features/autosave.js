@@ -0,0 +1,231 @@
+/**
+ * Autosave
+ *
+ * Writes the editor content and its undo/redo history to a storage adapter
+ * shortly after every edit, so a draft survives reloads and accidental navigation.
+ *
+ * An adapter is any object with async load(key), save(key, draft) and remove(key).
+ */
+
+const DRAFT_VERSION = 1;
+
+/**
+ * Adapter backed by window.localStorage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.prefix='visbug-editor:'] - Prefix for storage keys
+ * @returns {Object} - Storage adapter
+ */
+export function createLocalStorageAdapter({ prefix = "visbug-editor:" } = {}) {
+  return {
+    async load(key) {
+      const json = localStorage.getItem(prefix + key);
+      return json ? JSON.parse(json) : null;
+    },
+    async save(key, draft) {
+      localStorage.setItem(prefix + key, JSON.stringify(draft));
+    },
+    async remove(key) {
+      localStorage.removeItem(prefix + key);
+    },
+  };
+}
+
+/**
+ * Adapter backed by IndexedDB, for content too large for localStorage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dbName='visbug-editor'] - Database name
+ * @param {string} [options.storeName='drafts'] - Object store name
+ * @returns {Object} - Storage adapter
+ */
+export function createIndexedDBAdapter({
+  dbName = "visbug-editor",
+  storeName = "drafts",
+} = {}) {
+  let db = null;
+
+  const open = () => {
+    if (!db) {
+      db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return db;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    async load(key) {
+      return (await run("readonly", (store) => store.get(key))) || null;
+    },
+    async save(key, draft) {
+      await run("readwrite", (store) => store.put(draft, key));
+    },
+    async remove(key) {
+      await run("readwrite", (store) => store.delete(key));
+    },
+  };
+}
+
+/**
+ * Adapter that keeps drafts in memory, for tests
+ *
+ * @returns {Object} - Storage adapter with a `drafts` Map for inspection
+ */
+export function createMemoryAdapter() {
+  const drafts = new Map();
+
+  return {
+    drafts,
+    async load(key) {
+      return drafts.has(key) ? structuredClone(drafts.get(key)) : null;
+    },
+    async save(key, draft) {
+      drafts.set(key, structuredClone(draft));
+    },
+    async remove(key) {
+      drafts.delete(key);
+    },
+  };
+}
+
+const adapters = {
+  localStorage: createLocalStorageAdapter,
+  indexedDB: createIndexedDBAdapter,
+  memory: createMemoryAdapter,
+};
+
+/**
+ * Resolve the `adapter` option to an adapter object
+ * @param {string|Object} adapter - Adapter name or adapter object
+ * @returns {Object}
+ */
+const resolveAdapter = (adapter = "localStorage") => {
+  if (typeof adapter !== "string") return adapter;
+
+  if (!adapters[adapter]) {
+    throw new Error(`Unknown autosave adapter: ${adapter}`);
+  }
+  return adapters[adapter]();
+};
+
+/**
+ * Start autosaving an editor
+ *
+ * @param {VisBugEditor} editor - Editor to save
+ * @param {Object} [options]
+ * @param {string|Object} [options.adapter='localStorage'] - 'localStorage', 'indexedDB', 'memory' or an adapter object
+ * @param {string} [options.key='default'] - Key the draft is stored under
+ * @param {number} [options.delay=1000] - Milliseconds to wait after the last edit before writing
+ * @returns {Object} - Autosave API
+ */
+export function Autosave(editor, { adapter, key = "default", delay = 1000 } = {}) {
+  const storage = resolveAdapter(adapter);
+  const { historyManager } = editor;
+  let timer = null;
+  let restoring = false;
+
+  const save = async () => {
+    clearTimeout(timer);
+    timer = null;
+
+    try {
+      // Exporting throws on change types that can't be serialized
+      const draft = {
+        version: DRAFT_VERSION,
+        savedAt: Date.now(),
+        content: editor.getContent(),
+        history: editor.exportHistory(),
+      };
+
+      await storage.save(key, draft);
+      editor.emit("autosave:save", { key, savedAt: draft.savedAt });
+    } catch (error) {
+      console.error("Autosave failed:", error);
+      editor.emit("autosave:error", { key, error });
+    }
+  };
+
+  const schedule = () => {
+    // An empty history means content was just replaced, there is nothing to recover
+    if (restoring || (!historyManager.canUndo() && !historyManager.canRedo())) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(save, delay);
+  };
+
+  // Write a pending draft right away instead of waiting for the debounce
+  const flush = () => (timer ? save() : Promise.resolve());
+
+  const load = async () => {
+    try {
+      const draft = await storage.load(key);
+      return draft?.version === DRAFT_VERSION ? draft : null;
+    } catch (error) {
+      console.error("Failed to load draft:", error);
+      return null;
+    }
+  };
+
+  const restore = async () => {
+    const draft = await load();
+    if (!draft) return false;
+
+    // Discard any write still pending for the content being replaced
+    clearTimeout(timer);
+    timer = null;
+
+    restoring = true;
+    try {
+      // The draft is the editor's own content, cleaning it could break the history paths
+      editor.setContent(draft.content, { sanitize: false });
+      editor.importHistory(draft.history);
+    } finally {
+      restoring = false;
+    }
+
+    editor.emit("autosave:restore", { key, savedAt: draft.savedAt });
+    return true;
+  };
+
+  const clear = async () => {
+    clearTimeout(timer);
+    timer = null;
+    await storage.remove(key);
+  };
+
+  const onPageHide = () => flush();
+
+  historyManager.on("change", schedule);
+  window.addEventListener("pagehide", onPageHide);
+
+  const disconnect = () => {
+    historyManager.off("change", schedule);
+    window.removeEventListener("pagehide", onPageHide);
+    return flush();
+  };
+
+  return {
+    load,
+    restore,
+    flush,
+    clear,
+    disconnect,
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Built-in commands
+ *
+ * Every keyboard action runs through one of these, so editor.execute() takes
+ * the same code path (and records the same history) as the key press.
+ * Commands that edit elements act on `args.elements`, or the selection by default.
+ */
+
+import { positionElement, alignElements, distributeElements } from "./position.js";
+import {
+  changeFontSize,
+  changeLeading,
+  changeKerning,
+  changeFontWeight,
+  changeAlignment,
+  toggleBold,
+  toggleItalic,
+} from "./font.js";
+
+const directions = ["up", "down", "left", "right"];
+const alignEdges = ["left", "center", "right", "top", "middle", "bottom"];
+const alignFrames = ["selection", "parent"];
+const distributeDirections = ["horizontal", "vertical"];
+
+/**
+ * Wrap a font change so it takes { direction: 'up' | 'down' }
+ * @param {Function} change - Font change function
+ * @param {Object} [toDirection] - Maps 'up'/'down' to the direction the change expects
+ * @returns {Function} - Command handler
+ */
+const fontCommand =
+  (change, toDirection = { up: "up", down: "down" }) =>
+  ({ direction, elements }, editor) => {
+    if (!toDirection[direction]) {
+      const expected = Object.keys(toDirection).join('" or "');
+      console.warn(`Invalid direction "${direction}", expected "${expected}"`);
+      return false;
+    }
+
+    change(elements, toDirection[direction], editor.historyManager);
+    return true;
+  };
+
+export const builtinCommands = {
+  clearSelection: (args, editor) => editor.selectorEngine.clearSelection(),
+  duplicate: ({ elements }, editor) => editor.selectorEngine.duplicate(elements),
+  delete: ({ elements }, editor) => editor.selectorEngine.remove(elements),
+  clearStyles: ({ elements }, editor) => editor.selectorEngine.clearStyles(elements),
+  copyStyles: ({ elements }, editor) => editor.selectorEngine.copyStyles(elements),
+  pasteStyles: ({ css, elements }, editor) => editor.selectorEngine.pasteStyles(elements, css),
+  group: ({ tag, className, elements }, editor) =>
+    editor.selectorEngine.group(elements, { tag, className }),
+  ungroup: ({ elements }, editor) => editor.selectorEngine.ungroup(elements),
+  reorder: ({ to, elements }, editor) => editor.selectorEngine.reorder(elements, to),
+  traverse: ({ to }, editor) => editor.selectorEngine.traverse(to),
+  selectChildren: ({ elements }, editor) => editor.selectorEngine.selectChildren(elements),
+  selectParents: ({ elements }, editor) => editor.selectorEngine.selectParents(elements),
+  expandSelection: ({ all }, editor) => editor.selectorEngine.expandSelection({ all }),
+  paste: ({ html, position, elements }, editor) =>
+    editor.selectorEngine.paste({ html, position, target: elements[0] }),
+
+  nudge: ({ direction, amount = 1, elements }, editor) => {
+    if (!directions.includes(direction)) {
+      console.warn(`Invalid direction "${direction}", expected one of ${directions.join(", ")}`);
+      return false;
+    }
+
+    positionElement(elements, direction, editor.historyManager, amount, {
+      positioning: editor.options.positioning,
+    });
+    return true;
+  },
+
+  alignElements: ({ edge, relativeTo = "selection", elements }, editor) => {
+    if (!alignEdges.includes(edge)) {
+      console.warn(`Invalid edge "${edge}", expected one of ${alignEdges.join(", ")}`);
+      return [];
+    }
+    if (!alignFrames.includes(relativeTo)) {
+      console.warn(`Invalid relativeTo "${relativeTo}", expected one of ${alignFrames.join(", ")}`);
+      return [];
+    }
+
+    return alignElements(elements, edge, editor.historyManager, {
+      relativeTo,
+      positioning: editor.options.positioning,
+    });
+  },
+
+  distribute: ({ direction, elements }, editor) => {
+    if (!distributeDirections.includes(direction)) {
+      console.warn(
+        `Invalid direction "${direction}", expected one of ${distributeDirections.join(", ")}`
+      );
+      return [];
+    }
+
+    return distributeElements(elements, direction, editor.historyManager, {
+      positioning: editor.options.positioning,
+    });
+  },
+
+  fontSize: fontCommand(changeFontSize),
+  leading: fontCommand(changeLeading),
+  kerning: fontCommand(changeKerning, { up: "right", down: "left" }),
+  fontWeight: fontCommand(changeFontWeight),
+  align: fontCommand(changeAlignment, { left: "left", right: "right" }),
+  bold: ({ elements }, editor) => toggleBold(elements, editor.historyManager),
+  italic: ({ elements }, editor) => toggleItalic(elements, editor.historyManager),
+};
@@ -1,106 +1,75 @@
-import hotkeys from "hotkeys-js";
-import { metaKey, getStyle, showHideSelected } from "../utilities/index.js";
+import { getStyle, showHideSelected } from "../utilities/index.js";
 import { StyleChange } from "./history.js";
 
-const key_events = "up,down,left,right"
-  .split(",")
-  .reduce((events, event) => `${events},${event},shift+${event}`, "")
-  .substring(1);
-
-const command_events = `${metaKey}+up,${metaKey}+down`;
-
-export function Font({ selection, historyManager }) {
-  hotkeys(key_events, (e, handler) => {
+/**
+ * Font tool - keyboard typography controls for the selection
+ * @param {Object} context - Tool context provided by the editor
+ * @returns {Object} - Tool API
+ */
+export function Font({ bindCommand, execute }) {
+  const run = (command, args) => (e) => {
     if (e.cancelBubble) return;
 
     e.preventDefault();
+    execute(command, args);
+  };
 
-    let selectedNodes = selection(),
-      keys = handler.key.split("+");
-
-    if (keys.includes("left") || keys.includes("right"))
-      keys.includes("shift")
-        ? changeKerning(selectedNodes, handler.key, historyManager)
-        : changeAlignment(selectedNodes, handler.key, historyManager);
-    else
-      keys.includes("shift")
-        ? changeLeading(selectedNodes, handler.key, historyManager)
-        : changeFontSize(selectedNodes, handler.key, historyManager);
-  });
-
-  hotkeys(command_events, (e, handler) => {
-    e.preventDefault();
-    let keys = handler.key.split("+");
-    changeFontWeight(
-      selection(),
-      keys.includes("up") ? "up" : "down",
-      historyManager
-    );
-  });
-
-  hotkeys("cmd+b", (e) => {
-    const nodes = selection();
-    if (nodes.length > 1 && historyManager) {
-      historyManager.beginBatch();
-    }
-
-    nodes.forEach((el) => {
-      const oldValue = el.style.fontWeight;
-
-      if (historyManager) {
-        historyManager.push(
-          new StyleChange({
-            element: el,
-            property: "fontWeight",
-            oldValue: oldValue,
-            newValue: el.style.fontWeight == "bold" ? "" : "bold",
-          })
-        );
-      }
-
-      el.style.fontWeight = el.style.fontWeight == "bold" ? null : "bold";
-    });
-
-    if (nodes.length > 1 && historyManager) {
-      historyManager.endBatch();
-    }
-  });
-
-  hotkeys("cmd+i", (e) => {
-    const nodes = selection();
-    if (nodes.length > 1 && historyManager) {
-      historyManager.beginBatch();
-    }
+  bindCommand("fontSizeUp", run("fontSize", { direction: "up" }));
+  bindCommand("fontSizeDown", run("fontSize", { direction: "down" }));
+  bindCommand("leadingUp", run("leading", { direction: "up" }));
+  bindCommand("leadingDown", run("leading", { direction: "down" }));
+  bindCommand("kerningUp", run("kerning", { direction: "up" }));
+  bindCommand("kerningDown", run("kerning", { direction: "down" }));
+  bindCommand("alignLeft", run("align", { direction: "left" }));
+  bindCommand("alignRight", run("align", { direction: "right" }));
+  bindCommand("fontWeightUp", run("fontWeight", { direction: "up" }));
+  bindCommand("fontWeightDown", run("fontWeight", { direction: "down" }));
+  bindCommand("bold", run("bold"));
+  bindCommand("italic", run("italic"));
+
+  // Font works on the live selection, so there is nothing to track per node.
+  // Hotkeys are unbound by the editor when the tool is deactivated.
+  return {
+    onNodesSelected: () => {},
+    disconnect: () => {},
+  };
+}
 
-    nodes.forEach((el) => {
-      const oldValue = el.style.fontStyle;
+export function toggleBold(els, historyManager) {
+  toggleStyle(els, "fontWeight", "bold", historyManager);
+}
 
-      if (historyManager) {
-        historyManager.push(
-          new StyleChange({
-            element: el,
-            property: "fontStyle",
-            oldValue: oldValue,
-            newValue: el.style.fontStyle == "italic" ? "" : "italic",
-          })
-        );
-      }
+export function toggleItalic(els, historyManager) {
+  toggleStyle(els, "fontStyle", "italic", historyManager);
+}
 
-      el.style.fontStyle = el.style.fontStyle == "italic" ? null : "italic";
-    });
+const toggleStyle = (els, property, value, historyManager) => {
+  if (els.length > 1 && historyManager) {
+    historyManager.beginBatch();
+  }
 
-    if (nodes.length > 1 && historyManager) {
-      historyManager.endBatch();
+  els.forEach((el) => {
+    const oldValue = el.style[property];
+    const newValue = oldValue == value ? "" : value;
+
+    el.style[property] = newValue;
+
+    if (historyManager) {
+      historyManager.push(
+        new StyleChange({
+          element: el,
+          property,
+          oldValue: oldValue,
+          newValue: newValue,
+        })
+      );
     }
   });
 
-  return () => {
-    hotkeys.unbind(key_events);
-    hotkeys.unbind(command_events);
-    hotkeys.unbind("cmd+b,cmd+i");
-    hotkeys.unbind("up,down,left,right");
-  };
-}
+  if (els.length > 1 && historyManager) {
+    historyManager.endBatch();
+  }
+};
 
 export function changeLeading(els, direction, historyManager) {
   // Begin batch if multiple elements
@@ -136,6 +105,8 @@ export function changeLeading(els, direction, historyManager) {
       const oldValue = `${current}px`;
       const newValue = `${value}px`;
 
+      el.style[style] = newValue;
+
       // Record change
       if (historyManager) {
         historyManager.push(
@@ -147,8 +118,6 @@ export function changeLeading(els, direction, historyManager) {
           })
         );
       }
-
-      el.style[style] = newValue;
     });
 
   // End batch if multiple elements
@@ -192,6 +161,8 @@ export function changeKerning(els, direction, historyManager) {
       const oldValue = `${current}px`;
       const newValue = `${finalValue}px`;
 
+      el.style[style] = newValue;
+
       // Record change
       if (historyManager) {
         historyManager.push(
@@ -203,8 +174,6 @@ export function changeKerning(els, direction, historyManager) {
           })
         );
       }
-
-      el.style[style] = newValue;
     });
 
   // End batch if multiple elements
@@ -240,6 +209,8 @@ export function changeFontSize(els, direction, historyManager) {
       const oldValue = `${current}px`;
       const newValue = `${finalSize}px`;
 
+      el.style[style] = newValue;
+
       // Record change
       if (historyManager) {
         historyManager.push(
@@ -251,8 +222,6 @@ export function changeFontSize(els, direction, historyManager) {
           })
         );
       }
-
-      el.style[style] = newValue;
     });
 
   // End batch if multiple elements
@@ -312,6 +281,8 @@ export function changeFontWeight(els, direction, historyManager) {
       const oldValue = current;
       const newValue = String(finalValue);
 
+      el.style[style] = finalValue;
+
       // Record change
       if (historyManager) {
         historyManager.push(
@@ -323,8 +294,6 @@ export function changeFontWeight(els, direction, historyManager) {
           })
         );
       }
-
-      el.style[style] = finalValue;
     });
 
   // End batch if multiple elements
@@ -367,6 +336,8 @@ export function changeAlignment(els, direction, historyManager) {
       const oldValue = current;
       const newValue = finalValue;
 
+      el.style[style] = newValue;
+
       // Record change
       if (historyManager) {
         historyManager.push(
@@ -378,8 +349,6 @@ export function changeAlignment(els, direction, historyManager) {
           })
         );
       }
-
-      el.style[style] = newValue;
     });
 
   // End batch if multiple elements
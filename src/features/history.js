@@ -1,3 +1,5 @@
+import { nodePath, resolveNodePath, morphInnerHTML } from "../utilities/index.js";
+
 // Base Change class
 export class Change {
   constructor() {
@@ -19,6 +21,11 @@ export class Change {
   merge(other) {
     return this;
   }
+
+  // Plain JSON for HistoryManager.serialize(); ref() turns nodes into references
+  serialize(ref) {
+    throw new Error("serialize() must be implemented");
+  }
 }
 
 // Style changes (most common)
@@ -61,6 +68,19 @@ export class StyleChange extends Change {
       newValue: other.newValue,
     });
   }
+
+  serialize(ref) {
+    return {
+      element: ref(this.element),
+      property: this.property,
+      oldValue: this.oldValue,
+      newValue: this.newValue,
+    };
+  }
+
+  static deserialize(data, resolve) {
+    return new StyleChange({ ...data, element: resolve(data.element) });
+  }
 }
 
 // Attribute changes
@@ -92,6 +112,19 @@ export class AttributeChange extends Change {
       this.element.setAttribute(this.attribute, this.newValue);
     }
   }
+
+  serialize(ref) {
+    return {
+      element: ref(this.element),
+      attribute: this.attribute,
+      oldValue: this.oldValue,
+      newValue: this.newValue,
+    };
+  }
+
+  static deserialize(data, resolve) {
+    return new AttributeChange({ ...data, element: resolve(data.element) });
+  }
 }
 
 // DOM structural changes
@@ -148,6 +181,26 @@ export class DOMChange extends Change {
       this.element.remove();
     }
   }
+
+  serialize(ref) {
+    return {
+      element: ref(this.element),
+      oldParent: ref(this.oldParent),
+      oldNextSibling: ref(this.oldNextSibling),
+      newParent: ref(this.newParent),
+      newNextSibling: ref(this.newNextSibling),
+    };
+  }
+
+  static deserialize(data, resolve) {
+    return new DOMChange({
+      element: resolve(data.element),
+      oldParent: resolve(data.oldParent),
+      oldNextSibling: resolve(data.oldNextSibling),
+      newParent: resolve(data.newParent),
+      newNextSibling: resolve(data.newNextSibling),
+    });
+  }
 }
 
 // Text content changes
@@ -170,6 +223,80 @@ export class TextChange extends Change {
       this.element.textContent = this.newText;
     }
   }
+
+  serialize(ref) {
+    return {
+      element: ref(this.element),
+      oldText: this.oldText,
+      newText: this.newText,
+    };
+  }
+
+  static deserialize(data, resolve) {
+    return new TextChange({ ...data, element: resolve(data.element) });
+  }
+}
+
+// Rich text changes, restores markup like links, bold and line breaks.
+// Existing child nodes are patched rather than replaced so changes that
+// refer to them keep working.
+export class HTMLChange extends Change {
+  // group: typing checkpoints from one edit session share a group and merge,
+  // sealed: the checkpoint ended a word, later typing starts a new step
+  constructor({ element, oldHTML, newHTML, group = null, sealed = false }) {
+    super();
+    this.element = element;
+    this.oldHTML = oldHTML;
+    this.newHTML = newHTML;
+    this.group = group;
+    this.sealed = sealed;
+  }
+
+  undo() {
+    if (this.element?.isConnected) {
+      morphInnerHTML(this.element, this.oldHTML);
+    }
+  }
+
+  redo() {
+    if (this.element?.isConnected) {
+      morphInnerHTML(this.element, this.newHTML);
+    }
+  }
+
+  canMerge(other) {
+    return (
+      other instanceof HTMLChange &&
+      this.group !== null &&
+      other.group === this.group &&
+      !this.sealed &&
+      other.oldHTML === this.newHTML &&
+      other.timestamp - this.timestamp < 1000
+    ); // Within 1 second, a longer pause starts a new step
+  }
+
+  merge(other) {
+    // Keep the original oldHTML but use the new newHTML
+    return new HTMLChange({
+      element: this.element,
+      oldHTML: this.oldHTML,
+      newHTML: other.newHTML,
+      group: this.group,
+      sealed: other.sealed,
+    });
+  }
+
+  serialize(ref) {
+    return {
+      element: ref(this.element),
+      oldHTML: this.oldHTML,
+      newHTML: this.newHTML,
+    };
+  }
+
+  static deserialize(data, resolve) {
+    return new HTMLChange({ ...data, element: resolve(data.element) });
+  }
 }
 
 // Batch of changes that should be undone together
@@ -192,8 +319,85 @@ export class BatchChange extends Change {
       this.changes[i].redo();
     }
   }
+
+  serialize(ref, serializeChange) {
+    return { changes: this.changes.map(serializeChange) };
+  }
+
+  static deserialize(data, resolve, deserializeChange) {
+    return new BatchChange(data.changes.map(deserializeChange));
+  }
 }
 
+// Change classes by serialized type name. Names are explicit so they
+// survive minification.
+const changeTypes = new Map([
+  ["StyleChange", StyleChange],
+  ["AttributeChange", AttributeChange],
+  ["DOMChange", DOMChange],
+  ["TextChange", TextChange],
+  ["HTMLChange", HTMLChange],
+  ["BatchChange", BatchChange],
+]);
+
+const changeTypeName = (change) =>
+  [...changeTypes].find(([, ChangeClass]) => change.constructor === ChangeClass)?.[0];
+
+// Node references are paths relative to the root. Nodes outside the root
+// (e.g. deleted elements waiting for undo) are stored once as HTML in a
+// node table so every change referring to them gets the same node back.
+const createNodeReferencer = (root) => {
+  const detached = new Map(); // top-most detached node -> table index
+  const nodes = [];
+
+  const ref = (node) => {
+    if (!node) return null;
+
+    const path = nodePath(node, root);
+    if (path) return { path };
+
+    let top = node;
+    while (top.parentNode) top = top.parentNode;
+
+    // Inside the document but outside the root, can't be restored
+    if (top.nodeType === Node.DOCUMENT_NODE) return null;
+
+    if (!detached.has(top)) {
+      detached.set(top, nodes.length);
+      nodes.push(
+        top.nodeType === Node.ELEMENT_NODE
+          ? { html: top.outerHTML }
+          : { text: top.textContent }
+      );
+    }
+
+    return { node: detached.get(top), path: nodePath(node, top) };
+  };
+
+  return { ref, nodes };
+};
+
+const createNodeResolver = (root, nodes = []) => {
+  const created = nodes.map(({ html, text }) => {
+    if (html === undefined) return document.createTextNode(text);
+
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    // Detach from the template so it reads as a removed element again
+    const node = template.content.firstChild;
+    node.remove();
+    return node;
+  });
+
+  return (reference) => {
+    if (!reference) return null;
+
+    const base = reference.node === undefined ? root : created[reference.node];
+    return base ? resolveNodePath(reference.path, base) : null;
+  };
+};
+
 // History Manager
 export class HistoryManager {
   constructor(options = {}) {
@@ -203,6 +407,8 @@ export class HistoryManager {
     this.batchMode = false;
     this.batchedChanges = [];
     this.mergeTimeout = options.mergeTimeout || 1000;
+    this.beforeChange = options.beforeChange || null; // Veto/rewrite hook
+    this.root = options.root || document.body; // Element paths are relative to this
     this.listeners = {}; // Event listeners
   }
 
@@ -226,6 +432,36 @@ export class HistoryManager {
     this.listeners[event].forEach((callback) => callback(data));
   }
 
+  // Give the beforeChange hook a chance to veto or rewrite a change.
+  // Changes are recorded after the DOM was mutated, so a veto rolls the
+  // mutation back and a rewrite re-applies the returned change.
+  // Returns the change to record, or null when it was rejected.
+  intercept(change) {
+    if (typeof this.beforeChange !== "function") return change;
+
+    let result;
+    try {
+      result = this.beforeChange(change);
+    } catch (error) {
+      console.warn("Change rejected by beforeChange:", error);
+      result = false;
+    }
+
+    if (result === false) {
+      change.undo();
+      this.emit("reject", change);
+      return null;
+    }
+
+    if (result instanceof Change) {
+      if (result !== change) change.undo();
+      result.redo();
+      return result;
+    }
+
+    return change;
+  }
+
   // Record a change
   push(change) {
     if (this.batchMode) {
@@ -248,6 +484,11 @@ export class HistoryManager {
       }
     }
 
+    change = this.intercept(change);
+    if (!change) return;
+
+    this.emit("beforecommit", change);
+
     // Try to merge with the last change if possible
     if (this.undoStack.length > 0) {
       const lastChange = this.undoStack[this.undoStack.length - 1];
@@ -255,6 +496,8 @@ export class HistoryManager {
         const merged = lastChange.merge(change);
         this.undoStack[this.undoStack.length - 1] = merged;
         this.redoStack = []; // Clear redo stack on new change
+        this.emit("commit", merged);
+        this.emit("change", this.state);
         return;
       }
     }
@@ -267,7 +510,8 @@ export class HistoryManager {
       this.undoStack.shift();
     }
 
-    // Emit change event
+    // Emit change events
+    this.emit("commit", change);
     this.emit("change", this.state);
   }
 
@@ -279,8 +523,14 @@ export class HistoryManager {
 
   // End batch mode and record all changes as one
   endBatch() {
-    if (this.batchedChanges.length > 0) {
-      const batch = new BatchChange(this.batchedChanges);
+    const batch =
+      this.batchedChanges.length > 0
+        ? this.intercept(new BatchChange(this.batchedChanges))
+        : null;
+
+    if (batch) {
+      this.emit("beforecommit", batch);
+
       this.undoStack.push(batch);
       this.redoStack = []; // Clear redo stack on new change
 
@@ -289,7 +539,8 @@ export class HistoryManager {
         this.undoStack.shift();
       }
 
-      // Emit change event
+      // Emit change events
+      this.emit("commit", batch);
       this.emit("change", this.state);
     }
     this.batchMode = false;
@@ -303,6 +554,7 @@ export class HistoryManager {
     try {
       change.undo();
       this.redoStack.push(change);
+      this.emit("undo", change);
       this.emit("change", this.state);
       return true;
     } catch (error) {
@@ -320,6 +572,7 @@ export class HistoryManager {
     try {
       change.redo();
       this.undoStack.push(change);
+      this.emit("redo", change);
       this.emit("change", this.state);
       return true;
     } catch (error) {
@@ -346,6 +599,63 @@ export class HistoryManager {
     this.emit("change", this.state);
   }
 
+  // Export both stacks as JSON, with elements stored as paths relative to root
+  serialize(root = this.root) {
+    const { ref, nodes } = createNodeReferencer(root);
+
+    const serializeChange = (change) => {
+      const type = changeTypeName(change);
+      if (!type) throw new Error("Cannot serialize unregistered change type");
+
+      return {
+        type,
+        timestamp: change.timestamp,
+        ...change.serialize(ref, serializeChange),
+      };
+    };
+
+    return {
+      version: 1,
+      undo: this.undoStack.map(serializeChange),
+      redo: this.redoStack.map(serializeChange),
+      nodes,
+    };
+  }
+
+  // Replace both stacks with serialized history. The DOM under root must
+  // match the content at the time serialize() was called.
+  load(json, root = this.root) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const resolve = createNodeResolver(root, data.nodes);
+
+    const deserializeChange = ({ type, timestamp, ...rest }) => {
+      const ChangeClass = changeTypes.get(type);
+      if (!ChangeClass) throw new Error(`Unknown change type: ${type}`);
+
+      const change = ChangeClass.deserialize(rest, resolve, deserializeChange);
+      change.timestamp = timestamp;
+      return change;
+    };
+
+    this.undoStack = data.undo.map(deserializeChange);
+    this.redoStack = data.redo.map(deserializeChange);
+    this.batchedChanges = [];
+    this.batchMode = false;
+    this.emit("change", this.state);
+
+    return this;
+  }
+
+  static deserialize(json, root, options = {}) {
+    return new HistoryManager({ ...options, root }).load(json, root);
+  }
+
+  // Make a custom Change subclass serializable. It must implement
+  // serialize(ref) and static deserialize(data, resolve).
+  static registerChangeType(name, ChangeClass) {
+    changeTypes.set(name, ChangeClass);
+  }
+
   // Get the undo stack (for debugging/UI)
   getHistory() {
     return this.undoStack;
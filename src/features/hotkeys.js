@@ -0,0 +1,139 @@
+import hotkeys from "hotkeys-js";
+
+// Editors that can own the keyboard, least recently interacted with first
+let owners = [];
+
+/**
+ * Register an owner that can receive hotkeys
+ *
+ * The first registered owner receives hotkeys until another one claims them.
+ *
+ * @param {Object} owner - Usually a VisBugEditor
+ */
+export function registerHotkeyOwner(owner) {
+  if (!owners.includes(owner)) owners.unshift(owner);
+}
+
+/**
+ * Route hotkeys to an owner, e.g. after pointer or focus interaction with it
+ * @param {Object} owner - A registered owner
+ */
+export function claimHotkeys(owner) {
+  owners = [...owners.filter((o) => o !== owner), owner];
+}
+
+/**
+ * Stop routing hotkeys to an owner, the previous owner takes over
+ * @param {Object} owner - A registered owner
+ */
+export function releaseHotkeys(owner) {
+  owners = owners.filter((o) => o !== owner);
+}
+
+/**
+ * Check whether hotkeys are currently routed to an owner
+ * @param {Object} owner - A registered owner
+ * @returns {boolean}
+ */
+export function ownsHotkeys(owner) {
+  return owners[owners.length - 1] === owner;
+}
+
+/**
+ * Create a hotkey binder that keeps track of its own bindings
+ *
+ * hotkeys-js keeps one global registry, so unbinding by key alone would
+ * also remove handlers registered by other tools. A binder only ever
+ * unbinds the handlers it bound itself.
+ *
+ * When an owner is given, handlers only run while that owner has the
+ * keyboard, so several editors on one page don't react to the same keys.
+ *
+ * @param {Object} [owner] - Owner the hotkeys belong to
+ * @param {Function} [resolveKeys] - Looks up the keys of a command for bindCommand()
+ * @returns {Object} - Binder API
+ */
+export function HotkeyBinder(owner, resolveKeys = () => null) {
+  let bindings = [];
+  let commands = []; // { command, handler } bound through bindCommand
+
+  const listen = (keys, handler) => {
+    const listener = owner
+      ? (e, details) => (ownsHotkeys(owner) ? handler(e, details) : undefined)
+      : handler;
+
+    hotkeys(keys, listener);
+    return listener;
+  };
+
+  const bind = (keys, handler) => {
+    bindings.push({ keys, handler, listener: listen(keys, handler) });
+
+    return () => unbind(keys, handler);
+  };
+
+  const unbind = (keys, handler) => {
+    bindings = bindings.filter((binding) => {
+      if (binding.keys !== keys || binding.handler !== handler) return true;
+
+      hotkeys.unbind(keys, binding.listener);
+      return false;
+    });
+  };
+
+  /**
+   * Bind a handler to the keys the keymap assigns to a command
+   * @param {string} command - Command name, e.g. 'duplicate'
+   * @param {Function} handler - Called with the keyboard event
+   * @returns {Function} - Call to unbind
+   */
+  const bindCommand = (command, handler) => {
+    const entry = { command, handler, keys: null, listener: null };
+    commands.push(entry);
+    listenCommand(entry);
+
+    return () => {
+      unlistenCommand(entry);
+      commands = commands.filter((c) => c !== entry);
+    };
+  };
+
+  const listenCommand = (entry) => {
+    entry.keys = resolveKeys(entry.command);
+
+    // Disabled in the keymap
+    if (!entry.keys) return;
+
+    entry.listener = listen(entry.keys, entry.handler);
+  };
+
+  const unlistenCommand = (entry) => {
+    if (entry.listener) hotkeys.unbind(entry.keys, entry.listener);
+    entry.listener = null;
+  };
+
+  /**
+   * Re-read command keys after the keymap changed
+   */
+  const rebind = () => {
+    commands.forEach((entry) => {
+      unlistenCommand(entry);
+      listenCommand(entry);
+    });
+  };
+
+  const unbindAll = () => {
+    bindings.forEach(({ keys, listener }) => hotkeys.unbind(keys, listener));
+    commands.forEach(unlistenCommand);
+    bindings = [];
+    commands = [];
+  };
+
+  return {
+    bind,
+    unbind,
+    bindCommand,
+    rebind,
+    unbindAll,
+  };
+}
@@ -1,58 +1,173 @@
 import $ from "blingblingjs";
-import { getStyle } from "../utilities/index.js";
+import { getStyle, matchesIgnoreList } from "../utilities/index.js";
 import { StyleChange, AttributeChange, BatchChange } from "./history.js";
 
-let imgs = [],
-  overlays = [],
-  dragItem;
+// URL -> Blob URL, shared by all editors so undo/redo swaps images instantly
+const imageCache = new Map();
+
+/**
+ * Image swap - drop images onto <img>, <picture> and background images
+ * inside the editor container to replace them
+ *
+ * @param {VisBugEditor} editor - Editor that owns the images
+ * @returns {Object} - Image swap API
+ */
+export function ImageSwap(editor) {
+  const { container, historyManager } = editor;
+  const emit = (eventName, data) => editor.emit(eventName, data);
+
+  let imgs = [],
+    overlays = [],
+    dragItem,
+    watching = true;
+
+  const isDroppable = (node) =>
+    container.contains(node) && !matchesIgnoreList(node, editor.ignoreSelectors);
+
+  const getSelectedImages = () =>
+    $("img[data-selected=true], [data-selected=true] > img", container).filter(
+      isDroppable
+    );
 
-const state = {
-  watching: true,
-  historyManager: null,
-  imageCache: new Map(), // Cache for loaded images: URL -> Blob URL
-};
+  /**
+   * Find the images inside the container and start accepting drops on them
+   */
+  const watch = () => {
+    // Release images found by a previous call, they may no longer be in the container
+    clearWatchers();
+
+    imgs = $([
+      ...$("img", container),
+      ...$("picture", container),
+      ...findBackgroundImages(container),
+    ]);
+
+    initWatchers();
+  };
+
+  /**
+   * Stop accepting drops
+   */
+  const unwatch = () => {
+    clearWatchers();
+    imgs = [];
+    hideOverlays();
+  };
+
+  const toggleWatching = ({ watch }) => {
+    watching = watch;
+  };
+
+  const initWatchers = () => {
+    $(imgs).on("dragover", onDragOver);
+    $(imgs).on("dragleave", onDragLeave);
+    $(imgs).on("drop", onDrop);
+    container.addEventListener("dragover", onDragOver);
+    container.addEventListener("dragleave", onDragLeave);
+    container.addEventListener("drop", onDrop);
+    // Images can be dragged in from anywhere on the page
+    document.addEventListener("dragstart", onDragStart);
+    document.addEventListener("dragend", onDragEnd);
+  };
+
+  const clearWatchers = () => {
+    $(imgs).off("dragover", onDragOver);
+    $(imgs).off("dragleave", onDragLeave);
+    $(imgs).off("drop", onDrop);
+    container.removeEventListener("dragover", onDragOver);
+    container.removeEventListener("dragleave", onDragLeave);
+    container.removeEventListener("drop", onDrop);
+    document.removeEventListener("dragstart", onDragStart);
+    document.removeEventListener("dragend", onDragEnd);
+  };
+
+  // only fired for in-page drag events, track what the user picked up
+  const onDragStart = ({ target }) => (dragItem = target);
+
+  const onDragEnd = (e) => (dragItem = undefined);
+
+  const onDragOver = async (e) => {
+    if (!isDroppable(e.target)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const pre_selected = getSelectedImages();
+
+    if (imgs.some((img) => img === e.target)) {
+      if (!pre_selected.length) {
+        if (!isFileEvent(e)) previewDrop(e.target, dragItem);
+
+        showOverlay(e.currentTarget, 0);
+      } else {
+        if (pre_selected.some((node) => node == e.target) && !isFileEvent(e))
+          pre_selected.forEach((node) => previewDrop(node, dragItem));
+
+        pre_selected.forEach((img, i) => showOverlay(img, i));
+      }
+    }
+  };
 
-export function watchImagesForUpload() {
-  imgs = $([
-    ...document.images,
-    ...$("picture"),
-    ...findBackgroundImages(document),
-  ]);
+  const onDragLeave = (e) => {
+    e.stopPropagation();
+    const pre_selected = getSelectedImages();
 
-  clearWatchers(imgs);
-  initWatchers(imgs);
-}
+    if (!pre_selected.some((node) => node === e.target)) resetPreviewed(e.target);
+    else pre_selected.forEach((node) => resetPreviewed(node));
 
-export function toggleWatching({ watch }) {
-  state.watching = watch;
-}
+    hideOverlays();
+  };
 
-export function setHistoryManager(historyManager) {
-  state.historyManager = historyManager;
-}
+  const onDrop = async (e) => {
+    if (!isDroppable(e.target)) return;
 
-const initWatchers = (imgs) => {
-  imgs.on("dragover", onDragOver);
-  imgs.on("dragleave", onDragLeave);
-  imgs.on("drop", onDrop);
-  $(document.body).on("dragover", onDragOver);
-  $(document.body).on("dragleave", onDragLeave);
-  $(document.body).on("drop", onDrop);
-  $(document.body).on("dragstart", onDragStart);
-  $(document.body).on("dragend", onDragEnd);
-};
+    e.stopPropagation();
+    e.preventDefault();
 
-const clearWatchers = (imgs) => {
-  imgs.off("dragover", onDragOver);
-  imgs.off("dragleave", onDragLeave);
-  imgs.off("drop", onDrop);
-  $(document.body).off("dragover", onDragOver);
-  $(document.body).off("dragleave", onDragLeave);
-  $(document.body).off("drop", onDrop);
-  $(document.body).off("dragstart", onDragStart);
-  $(document.body).off("dragend", onDragEnd);
-  imgs = [];
-};
+    const srcs = await getTransferData(dragItem, e);
+
+    if (srcs.length) {
+      const targetImages = getTargetContentImages(getSelectedImages(), e);
+
+      if (targetImages.length) {
+        await updateContentImages(targetImages, srcs, historyManager);
+        emit("image:drop", { targets: [...targetImages], srcs });
+      } else {
+        const bgImages = getTargetBackgroundImages(imgs.filter(isDroppable), e);
+        updateBackgroundImages(bgImages, srcs[0], historyManager);
+        emit("image:drop", { targets: bgImages, srcs });
+      }
+    }
+
+    hideOverlays();
+  };
+
+  const showOverlay = (node, i) => {
+    if (!watching) return;
+
+    const rect = node.getBoundingClientRect();
+    const overlay = overlays[i];
+
+    if (overlay) {
+      overlay.update = rect;
+    } else {
+      overlays[i] = document.createElement("visbug-overlay");
+      overlays[i].position = rect;
+      document.body.appendChild(overlays[i]);
+    }
+  };
+
+  const hideOverlays = () => {
+    overlays.forEach((overlay) => overlay.remove());
+    overlays = [];
+  };
+
+  return {
+    watch,
+    unwatch,
+    toggleWatching,
+  };
+}
 
 const previewFile = (file) => {
   return new Promise((resolve, reject) => {
@@ -66,11 +181,11 @@ const previewFile = (file) => {
 const cacheImageURL = async (url) => {
   // If already cached or is a data URL, return as-is
   if (
-    state.imageCache.has(url) ||
+    imageCache.has(url) ||
     url.startsWith("data:") ||
     url.startsWith("blob:")
   ) {
-    return state.imageCache.get(url) || url;
+    return imageCache.get(url) || url;
   }
 
   try {
@@ -80,7 +195,7 @@ const cacheImageURL = async (url) => {
     const blobURL = URL.createObjectURL(blob);
 
     // Cache the blob URL
-    state.imageCache.set(url, blobURL);
+    imageCache.set(url, blobURL);
     return blobURL;
   } catch (error) {
     // If fetch fails, return original URL
@@ -91,65 +206,7 @@ const cacheImageURL = async (url) => {
 
 // Get cached version of URL or return original
 const getCachedImageURL = (url) => {
-  return state.imageCache.get(url) || url;
-};
-
-// only fired for in-page drag events, track what the user picked up
-const onDragStart = ({ target }) => (dragItem = target);
-
-const onDragEnd = (e) => (dragItem = undefined);
-
-const onDragOver = async (e) => {
-  e.preventDefault();
-  e.stopPropagation();
-
-  const pre_selected = $("img[data-selected=true], [data-selected=true] > img");
-
-  if (imgs.some((img) => img === e.target)) {
-    if (!pre_selected.length) {
-      if (!isFileEvent(e)) previewDrop(e.target);
-
-      showOverlay(e.currentTarget, 0);
-    } else {
-      if (pre_selected.some((node) => node == e.target) && !isFileEvent(e))
-        pre_selected.forEach((node) => previewDrop(node));
-
-      pre_selected.forEach((img, i) => showOverlay(img, i));
-    }
-  }
-};
-
-const onDragLeave = (e) => {
-  e.stopPropagation();
-  const pre_selected = $("img[data-selected=true], [data-selected=true] > img");
-
-  if (!pre_selected.some((node) => node === e.target)) resetPreviewed(e.target);
-  else pre_selected.forEach((node) => resetPreviewed(node));
-
-  hideOverlays();
-};
-
-const onDrop = async (e) => {
-  e.stopPropagation();
-  e.preventDefault();
-
-  const srcs = await getTransferData(dragItem, e);
-
-  if (srcs.length) {
-    const selectedImages = $(
-      "img[data-selected=true], [data-selected=true] > img"
-    );
-    const targetImages = getTargetContentImages(selectedImages, e);
-
-    if (targetImages.length) {
-      updateContentImages(targetImages, srcs);
-    } else {
-      const bgImages = getTargetBackgroundImages(imgs, e);
-      updateBackgroundImages(bgImages, srcs[0]);
-    }
-  }
-
-  hideOverlays();
+  return imageCache.get(url) || url;
 };
 
 const getTransferData = async (dragItem, e) => {
@@ -171,26 +228,26 @@ const getTargetContentImages = (selected, e) =>
     ? [e.target]
     : [];
 
-const updateContentImages = async (images, srcs) => {
+const updateContentImages = async (images, srcs, historyManager) => {
   // Begin batch if multiple images
-  if (images.length > 1 && state.historyManager) {
-    state.historyManager.beginBatch();
+  if (images.length > 1 && historyManager) {
+    historyManager.beginBatch();
   }
 
   let i = 0;
   for (const img of images) {
     clearDragHistory(img);
-    await updateContentImage(img, srcs[i]);
+    await updateContentImage(img, srcs[i], historyManager);
     i = ++i % srcs.length;
   }
 
   // End batch if multiple images
-  if (images.length > 1 && state.historyManager) {
-    state.historyManager.endBatch();
+  if (images.length > 1 && historyManager) {
+    historyManager.endBatch();
   }
 };
 
-const updateContentImage = async (img, src) => {
+const updateContentImage = async (img, src, historyManager) => {
   // Record old values for history (use actual current src from DOM)
   const oldSrc = img.getAttribute("src");
   const oldSrcset = img.getAttribute("srcset") || "";
@@ -211,54 +268,53 @@ const updateContentImage = async (img, src) => {
   if (img.srcset !== "") img.srcset = cachedSrc;
 
   // Record changes in history (store the cached URLs for instant undo/redo)
-  if (state.historyManager) {
-    state.historyManager.push(
+  const changes = [
+    new AttributeChange({
+      element: img,
+      attribute: "src",
+      oldValue: getCachedImageURL(oldSrc) || oldSrc,
+      newValue: cachedSrc,
+    }),
+  ];
+
+  if (oldSrcset !== "") {
+    changes.push(
       new AttributeChange({
         element: img,
-        attribute: "src",
-        oldValue: getCachedImageURL(oldSrc) || oldSrc,
+        attribute: "srcset",
+        oldValue: getCachedImageURL(oldSrcset) || oldSrcset,
         newValue: cachedSrc,
       })
     );
-
-    if (oldSrcset !== "") {
-      state.historyManager.push(
-        new AttributeChange({
-          element: img,
-          attribute: "srcset",
-          oldValue: getCachedImageURL(oldSrcset) || oldSrcset,
-          newValue: cachedSrc,
-        })
-      );
-    }
   }
 
-  const sources = getPictureSourcesToUpdate(img);
+  getPictureSourcesToUpdate(img).forEach((source) => {
+    const oldSourceSrcset = source.getAttribute("srcset");
+    source.srcset = cachedSrc;
 
-  if (sources.length && state.historyManager) {
-    sources.forEach((source) => {
-      const oldSourceSrcset = source.getAttribute("srcset");
-      source.srcset = cachedSrc;
-
-      state.historyManager.push(
-        new AttributeChange({
-          element: source,
-          attribute: "srcset",
-          oldValue: getCachedImageURL(oldSourceSrcset) || oldSourceSrcset,
-          newValue: cachedSrc,
-        })
-      );
-    });
+    changes.push(
+      new AttributeChange({
+        element: source,
+        attribute: "srcset",
+        oldValue: getCachedImageURL(oldSourceSrcset) || oldSourceSrcset,
+        newValue: cachedSrc,
+      })
+    );
+  });
+
+  // Push together so the swap is undone (or vetoed) as a single step
+  if (historyManager) {
+    historyManager.push(changes);
   }
 };
 
 const getTargetBackgroundImages = (images, e) =>
   images.filter((img) => img.contains(e.target));
 
-const updateBackgroundImages = (images, src) => {
+const updateBackgroundImages = (images, src, historyManager) => {
   // Begin batch if multiple images
-  if (images.length > 1 && state.historyManager) {
-    state.historyManager.beginBatch();
+  if (images.length > 1 && historyManager) {
+    historyManager.beginBatch();
   }
 
   images.forEach((img) => {
@@ -267,9 +323,11 @@ const updateBackgroundImages = (images, src) => {
       const oldBackgroundImage = img.style.backgroundImage;
       const newBackgroundImage = `url(${src})`;
 
+      img.style.backgroundImage = newBackgroundImage;
+
       // Record style change
-      if (state.historyManager) {
-        state.historyManager.push(
+      if (historyManager) {
+        historyManager.push(
           new StyleChange({
             element: img,
             property: "backgroundImage",
@@ -278,14 +336,12 @@ const updateBackgroundImages = (images, src) => {
           })
         );
       }
-
-      img.style.backgroundImage = newBackgroundImage;
     }
   });
 
   // End batch if multiple images
-  if (images.length > 1 && state.historyManager) {
-    state.historyManager.endBatch();
+  if (images.length > 1 && historyManager) {
+    historyManager.endBatch();
   }
 };
 
@@ -296,30 +352,10 @@ const getPictureSourcesToUpdate = (img) =>
       (source) => !source.media || window.matchMedia(source.media).matches
     );
 
-const showOverlay = (node, i) => {
-  if (!state.watching) return;
-
-  const rect = node.getBoundingClientRect();
-  const overlay = overlays[i];
-
-  if (overlay) {
-    overlay.update = rect;
-  } else {
-    overlays[i] = document.createElement("visbug-overlay");
-    overlays[i].position = rect;
-    document.body.appendChild(overlays[i]);
-  }
-};
-
-const hideOverlays = () => {
-  overlays.forEach((overlay) => overlay.remove());
-  overlays = [];
-};
-
 const findBackgroundImages = (el) => {
   const src_regex = /url\(\s*?['"]?\s*?(\S+?)\s*?["']?\s*?\)/i;
 
-  return $("*").reduce((collection, node) => {
+  return $("*", el).reduce((collection, node) => {
     const prop = getStyle(node, "background-image");
     const match = src_regex.exec(prop);
 
@@ -330,7 +366,7 @@ const findBackgroundImages = (el) => {
   }, []);
 };
 
-const previewDrop = async (node) => {
+const previewDrop = async (node, dragItem) => {
   if (
     !["lastSrc", "lastSrcset", "lastSiblings", "lastBackgroundImage"].some(
       (prop) => node[prop]
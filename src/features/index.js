@@ -7,6 +7,27 @@
 export * from "./history.js";
 export { Selectable } from "./selectable.js";
 export { Position } from "./position.js";
-export { EditText } from "./text.js";
+export { EditText, TextTool, formatText } from "./text.js";
 export { Font } from "./font.js";
-export { watchImagesForUpload, toggleWatching, setHistoryManager } from "./imageswap.js";
+export {
+  HotkeyBinder,
+  registerHotkeyOwner,
+  claimHotkeys,
+  releaseHotkeys,
+  ownsHotkeys,
+} from "./hotkeys.js";
+export {
+  defaultKeymap,
+  resolveKeymap,
+  findKeymapConflicts,
+} from "./keymap.js";
+export {
+  Autosave,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+} from "./autosave.js";
+export { ImageSwap } from "./imageswap.js";
+export { Sanitizer, defaultSanitizeOptions, textToHTML } from "./sanitize.js";
+export { Snapper, defaultSnapOptions } from "./snap.js";
+export { measureDistances } from "./measurements.js";
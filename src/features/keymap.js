@@ -0,0 +1,175 @@
+/**
+ * Keymap - maps command names to hotkeys-js key combos
+ *
+ * Commands are grouped by the feature that binds them. Selection commands are
+ * always bound, tool commands only while their tool is active, so keys may
+ * repeat across tools but not within one tool or against a selection command.
+ */
+
+import { metaKey } from "../utilities/index.js";
+
+const scopes = {
+  selection: {
+    clearSelection: "esc",
+    duplicate: `${metaKey}+d`,
+    delete: "backspace,del,delete",
+    clearStyles: "alt+del,alt+backspace",
+    copyStyles: `${metaKey}+alt+c`,
+    pasteStyles: `${metaKey}+alt+v`,
+    group: `${metaKey}+g`,
+    ungroup: `${metaKey}+shift+g`,
+    expandSelection: `${metaKey}+e`,
+    expandSelectionAll: `${metaKey}+shift+e`,
+    selectNextSibling: "tab",
+    selectPreviousSibling: "shift+tab",
+    selectFirstChild: "enter",
+    selectParent: "shift+enter",
+    selectChildren: `${metaKey}+shift+enter`,
+    selectParents: "shift+'",
+  },
+  position: {
+    nudgeUp: "up,alt+up",
+    nudgeDown: "down,alt+down",
+    nudgeLeft: "left,alt+left",
+    nudgeRight: "right,alt+right",
+    nudgeUpMore: "shift+up,shift+alt+up",
+    nudgeDownMore: "shift+down,shift+alt+down",
+    nudgeLeftMore: "shift+left,shift+alt+left",
+    nudgeRightMore: "shift+right,shift+alt+right",
+    reorderPrevious: `${metaKey}+up`,
+    reorderNext: `${metaKey}+down`,
+    reorderFirst: `${metaKey}+shift+up`,
+    reorderLast: `${metaKey}+shift+down`,
+  },
+  font: {
+    fontSizeUp: "up",
+    fontSizeDown: "down",
+    leadingUp: "shift+up",
+    leadingDown: "shift+down",
+    kerningUp: "shift+right",
+    kerningDown: "shift+left",
+    alignLeft: "left",
+    alignRight: "right",
+    fontWeightUp: `${metaKey}+up`,
+    fontWeightDown: `${metaKey}+down`,
+    bold: `${metaKey}+b`,
+    italic: `${metaKey}+i`,
+  },
+};
+
+/**
+ * Default key combos for every built-in command
+ */
+export const defaultKeymap = Object.assign({}, ...Object.values(scopes));
+
+const commandScopes = Object.fromEntries(
+  Object.entries(scopes).flatMap(([scope, commands]) =>
+    Object.keys(commands).map((command) => [command, scope])
+  )
+);
+
+const keyAliases = {
+  command: "cmd",
+  meta: "cmd",
+  "⌘": "cmd",
+  control: "ctrl",
+  "⌃": "ctrl",
+  option: "alt",
+  "⌥": "alt",
+  "⇧": "shift",
+  del: "delete",
+  escape: "esc",
+  return: "enter",
+};
+
+const modifiers = ["shift", "alt", "ctrl", "cmd"];
+
+/**
+ * Normalize a single combo so equivalent spellings compare equal
+ * @param {string} combo - e.g. "Shift+Cmd+Up"
+ * @returns {string}
+ */
+const normalizeCombo = (combo) => {
+  const keys = combo
+    .toLowerCase()
+    .split("+")
+    .map((key) => keyAliases[key.trim()] || key.trim());
+
+  return [
+    ...modifiers.filter((modifier) => keys.includes(modifier)),
+    ...keys.filter((key) => !modifiers.includes(key)),
+  ].join("+");
+};
+
+/**
+ * Split a keymap entry into its normalized combos
+ * @param {string|null} keys - Comma separated combos, or null when disabled
+ * @returns {string[]}
+ */
+export const keyCombos = (keys) =>
+  keys ? keys.split(",").filter((combo) => combo.trim()).map(normalizeCombo) : [];
+
+// Commands in the same scope, or a selection command and a tool command, are live at the same time
+const canCollide = (a, b) => {
+  const scopeA = commandScopes[a] || "selection";
+  const scopeB = commandScopes[b] || "selection";
+  return scopeA === scopeB || scopeA === "selection" || scopeB === "selection";
+};
+
+/**
+ * Find combos bound to more than one command that can be active together
+ *
+ * @param {Object} keymap - Command name -> keys
+ * @returns {Array<{ combo: string, commands: string[] }>}
+ */
+export function findKeymapConflicts(keymap) {
+  const byCombo = new Map();
+
+  Object.entries(keymap).forEach(([command, keys]) =>
+    keyCombos(keys).forEach((combo) => {
+      const commands = byCombo.get(combo) || [];
+      // "del" and "delete" are the same key
+      if (!commands.includes(command)) byCombo.set(combo, [...commands, command]);
+    })
+  );
+
+  const conflicts = [];
+
+  byCombo.forEach((commands, combo) => {
+    commands.forEach((command, i) =>
+      commands
+        .slice(i + 1)
+        .filter((other) => canCollide(command, other))
+        .forEach((other) => conflicts.push({ combo, commands: [command, other] }))
+    );
+  });
+
+  return conflicts;
+}
+
+/**
+ * Merge overrides into a keymap and warn about conflicts
+ *
+ * Set a command to null or false to disable it.
+ *
+ * @param {Object} [overrides={}] - Command name -> keys
+ * @param {Object} [base=defaultKeymap] - Keymap to merge into
+ * @returns {Object} - New keymap
+ */
+export function resolveKeymap(overrides = {}, base = defaultKeymap) {
+  const keymap = { ...base };
+
+  Object.entries(overrides).forEach(([command, keys]) => {
+    if (keys !== null && keys !== false && typeof keys !== "string") {
+      console.warn(`Invalid keys for command "${command}":`, keys);
+      return;
+    }
+    keymap[command] = keys || null;
+  });
+
+  findKeymapConflicts(keymap).forEach(({ combo, commands: [a, b] }) =>
+    console.warn(`Keymap conflict: "${combo}" is bound to both "${a}" and "${b}"`)
+  );
+
+  return keymap;
+}
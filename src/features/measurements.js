@@ -0,0 +1,66 @@
+/**
+ * Measurements
+ *
+ * Pixel distances between the selected element and the element hovered
+ * while holding Alt, drawn by visbug-distance.
+ */
+
+const axes = {
+  x: { start: "left", end: "right", before: "left", after: "right" },
+  y: { start: "top", end: "bottom", before: "top", after: "bottom" },
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Gaps along one axis: the space between the elements when they are apart,
+ * the offsets between their edges when they overlap
+ */
+const gaps = (a, b, { start, end, before, after }) => {
+  if (b[start] >= a[end]) return [{ side: after, from: a[end], to: b[start] }];
+  if (b[end] <= a[start]) return [{ side: before, from: b[end], to: a[start] }];
+
+  return [
+    { side: before, from: Math.min(a[start], b[start]), to: Math.max(a[start], b[start]) },
+    { side: after, from: Math.min(a[end], b[end]), to: Math.max(a[end], b[end]) },
+  ].filter(({ from, to }) => to > from);
+};
+
+/**
+ * Where to draw the lines of one axis on the other: the middle of the
+ * range both elements cover, or of the space between them
+ */
+const crossPosition = (a, b, { start, end }) =>
+  (Math.max(a[start], b[start]) + Math.min(a[end], b[end])) / 2;
+
+/**
+ * Measure the distances between two elements' boxes
+ *
+ * @param {DOMRect} anchor - Box of the selected element
+ * @param {DOMRect} target - Box of the hovered element
+ * @returns {Array<{ side: string, distance: number, x1: number, y1: number, x2: number, y2: number }>} -
+ *   One line per gap in viewport coordinates, side is 'top', 'right', 'bottom' or 'left' of the anchor
+ */
+export function measureDistances(anchor, target) {
+  const y = crossPosition(anchor, target, axes.y);
+  const x = crossPosition(anchor, target, axes.x);
+
+  return [
+    ...gaps(anchor, target, axes.x).map(({ side, from, to }) => ({
+      side,
+      distance: round(to - from),
+      x1: from,
+      y1: y,
+      x2: to,
+      y2: y,
+    })),
+    ...gaps(anchor, target, axes.y).map(({ side, from, to }) => ({
+      side,
+      distance: round(to - from),
+      x1: x,
+      y1: from,
+      x2: x,
+      y2: to,
+    })),
+  ];
+}
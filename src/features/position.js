@@ -1,47 +1,157 @@
 import $ from "blingblingjs";
-import hotkeys from "hotkeys-js";
 import {
   metaKey,
   getStyle,
-  getSide,
   showHideSelected,
+  deepElementFromPoint,
+  isOffBounds,
 } from "../utilities/index.js";
 import { StyleChange, AttributeChange } from "./history.js";
+import { Snapper } from "./snap.js";
+
+const parsePx = (value) => parseFloat(value) || 0;
+
+/**
+ * How HTML elements move. SVG elements always move through their transform attribute.
+ *
+ * read() returns the element's current offset, write() sets the axes it is
+ * given and leaves the other alone. properties are the inline styles it writes.
+ */
+const positioningStrategies = {
+  // position: relative with left/top, as VisBug does
+  offset: {
+    properties: ["position", "left", "top"],
+    willChange: "left,top",
+    prepare: (el) => {
+      if (getComputedStyle(el).position === "static") el.style.position = "relative";
+    },
+    read: (el) => ({ x: parsePx(getStyle(el, "left")), y: parsePx(getStyle(el, "top")) }),
+    write: (el, { x, y }) => {
+      if (x !== undefined) el.style.left = x + "px";
+      if (y !== undefined) el.style.top = y + "px";
+    },
+  },
+  // The translate property, the layout stays as it is
+  transform: {
+    properties: ["translate"],
+    willChange: "translate",
+    prepare: () => {},
+    read: (el) => {
+      const [x = 0, y = 0] = (getStyle(el, "translate") || "").split(" ").map(parsePx);
+      return { x, y };
+    },
+    write: (el, { x, y }) => {
+      const current = positioningStrategies.transform.read(el);
+      el.style.translate = `${x ?? current.x}px ${y ?? current.y}px`;
+    },
+  },
+  // Margins, the element stays in flow and pushes its siblings
+  margin: {
+    properties: ["marginLeft", "marginTop"],
+    willChange: "margin",
+    prepare: () => {},
+    read: (el) => ({
+      x: parsePx(getStyle(el, "marginLeft")),
+      y: parsePx(getStyle(el, "marginTop")),
+    }),
+    write: (el, { x, y }) => {
+      if (x !== undefined) el.style.marginLeft = x + "px";
+      if (y !== undefined) el.style.marginTop = y + "px";
+    },
+  },
+};
 
-const key_events = "up,down,left,right"
-  .split(",")
-  .reduce(
-    (events, event) =>
-      `${events},${event},alt+${event},shift+${event},shift+alt+${event}`,
-    ""
-  )
-  .substring(1);
-
-const command_events = `${metaKey}+up,${metaKey}+shift+up,${metaKey}+down,${metaKey}+shift+down`;
+/**
+ * Look up a positioning strategy, warning about unknown names
+ * @param {string} [name='offset'] - 'offset', 'transform' or 'margin'
+ * @returns {Object}
+ */
+const positioningStrategy = (name = "offset") => {
+  if (positioningStrategies[name]) return positioningStrategies[name];
+
+  const expected = Object.keys(positioningStrategies).join(", ");
+  console.warn(`Invalid positioning "${name}", expected one of ${expected}`);
+  return positioningStrategies.offset;
+};
 
-export function Position(historyManager) {
+const inlineStyles = (el, properties) =>
+  Object.fromEntries(properties.map((property) => [property, el.style[property]]));
+
+// A StyleChange for each inline style that differs from a snapshot
+const styleChanges = (el, before) =>
+  Object.entries(before)
+    .filter(([property, oldValue]) => el.style[property] !== oldValue)
+    .map(
+      ([property, oldValue]) =>
+        new StyleChange({ element: el, property, oldValue, newValue: el.style[property] })
+    );
+
+/**
+ * Position tool - drag and arrow-key nudging of selected elements
+ *
+ * With the dragMode editor option set to 'reorder', dragging moves the element
+ * to a new place in the DOM instead of offsetting it.
+ *
+ * @param {Object} context - Tool context provided by the editor
+ * @returns {Object} - Tool API
+ */
+export function Position({ editor, container, uiContainer, historyManager, emit, bindCommand, execute }) {
   const state = {
     elements: [],
     historyManager: historyManager,
   };
 
-  hotkeys(key_events, (e, handler) => {
+  const positioning = editor?.options.positioning;
+  const dragMode = editor?.options.dragMode || "move";
+  const snapOption = editor?.options.snap ?? true;
+  const snap = snapOption
+    ? {
+        ...(typeof snapOption === "object" ? snapOption : {}),
+        containerElement: container,
+        uiContainer,
+      }
+    : null;
+
+  const nudge = (direction, amount) => (e) => {
     if (e.cancelBubble) return;
 
     e.preventDefault();
-    positionElement(state.elements, handler.key, historyManager);
-  });
+    execute("nudge", { direction, amount });
+  };
+
+  bindCommand("nudgeUp", nudge("up", 1));
+  bindCommand("nudgeDown", nudge("down", 1));
+  bindCommand("nudgeLeft", nudge("left", 1));
+  bindCommand("nudgeRight", nudge("right", 1));
+  bindCommand("nudgeUpMore", nudge("up", 10));
+  bindCommand("nudgeDownMore", nudge("down", 10));
+  bindCommand("nudgeLeftMore", nudge("left", 10));
+  bindCommand("nudgeRightMore", nudge("right", 10));
+
+  const reorder = (to) => (e) => {
+    e.preventDefault();
+    execute("reorder", { to });
+  };
+
+  bindCommand("reorderPrevious", reorder("previous"));
+  bindCommand("reorderNext", reorder("next"));
+  bindCommand("reorderFirst", reorder("first"));
+  bindCommand("reorderLast", reorder("last"));
 
   const onNodesSelected = (els) => {
     state.elements.forEach((el) => el.teardown());
 
-    state.elements = els.map((el) => draggable({ el, historyManager }));
+    state.elements = els.map((el) =>
+      dragMode === "reorder"
+        ? reorderable({ el, container, uiContainer, execute })
+        : draggable({ el, historyManager, emit, snap, positioning })
+    );
   };
 
+  // Hotkeys are unbound by the editor when the tool is deactivated
   const disconnect = () => {
     state.elements.forEach((el) => el.teardown());
-    hotkeys.unbind(key_events);
-    hotkeys.unbind("up,down,left,right");
+    state.elements = [];
   };
 
   return {
@@ -50,13 +160,28 @@ export function Position(historyManager) {
   };
 }
 
+/**
+ * Make an element draggable
+ * @param {Object} options
+ * @param {Element} options.el - Element to move
+ * @param {Element} [options.surface=el] - Element that starts the drag
+ * @param {Object} [options.snap] - Snap options with the containerElement and uiContainer, see Snapper.
+ *   Holding cmd/ctrl while dragging moves freely
+ * @param {string} [options.positioning='offset'] - How HTML elements move: 'offset', 'transform' or 'margin'
+ * @returns {Element} - el, with a teardown() method
+ */
 export function draggable({
   el,
   surface = el,
   cursor = "move",
   clickEvent,
   historyManager,
+  emit = () => {},
+  snap = null,
+  positioning,
 }) {
+  const strategy = positioningStrategy(positioning);
+
   const state = {
     target: el,
     surface,
@@ -72,9 +197,11 @@ export function draggable({
     travelDistance: 0,
     historyManager: historyManager,
     // Store initial values for history tracking
-    initialPosition: null,
+    initialStyles: null,
     initialTransform: null,
     zIndex: null,
+    snapper: null,
+    guides: null, // visbug-guides, while snapped
   };
 
   const setup = () => {
@@ -93,6 +220,22 @@ export function draggable({
     surface.removeEventListener("mousedown", onMouseDown, true);
     surface.removeEventListener("mouseup", onMouseUp, true);
     document.removeEventListener("mousemove", onMouseMove, true);
+    hideGuides();
+  };
+
+  const showGuides = (lines) => {
+    if (!lines.length) return hideGuides();
+
+    if (!state.guides) {
+      state.guides = document.createElement("visbug-guides");
+      (snap.uiContainer || document.body).appendChild(state.guides);
+    }
+    state.guides.lines = lines;
+  };
+
+  const hideGuides = () => {
+    if (state.guides) state.guides.remove();
+    state.guides = null;
   };
 
   const onMouseDown = (e) => {
@@ -105,10 +248,6 @@ export function draggable({
       el.style.zIndex = 9999999999999;
     }
 
-    if (getComputedStyle(el).position == "static")
-      el.style.position = "relative";
-    el.style.willChange = "top,left";
-
     if (el instanceof SVGElement) {
       const translate = el.getAttribute("transform");
 
@@ -122,21 +261,23 @@ export function draggable({
         state.initialTransform = translate || null;
       }
     } else {
-      state.element.x = parseInt(getStyle(el, "left"));
-      state.element.y = parseInt(getStyle(el, "top"));
-
-      // Store initial position for history
+      // Store initial styles for history
       if (state.historyManager) {
-        state.initialPosition = {
-          left: el.style.left,
-          top: el.style.top,
-        };
+        state.initialStyles = inlineStyles(el, strategy.properties);
       }
+
+      strategy.prepare(el);
+      el.style.willChange = strategy.willChange;
+
+      const { x, y } = strategy.read(el);
+      state.element.x = x;
+      state.element.y = y;
     }
 
     state.mouse.x = e.clientX;
     state.mouse.y = e.clientY;
     state.mouse.down = true;
+    state.snapper = snap && snap.containerElement ? Snapper(el, snap) : null;
     state.travelDistance = 0;
   };
 
@@ -152,7 +293,9 @@ export function draggable({
     }
 
     state.mouse.down = false;
+    state.snapper = null;
     el.style.willChange = null;
+    hideGuides();
 
     if (el instanceof SVGElement) {
       const translate = el.getAttribute("transform");
@@ -175,54 +318,24 @@ export function draggable({
       state.element.x = x;
       state.element.y = y;
     } else {
-      state.element.x = parseInt(el.style.left) || 0;
-      state.element.y = parseInt(el.style.top) || 0;
-
-      // Record position changes (if element was actually moved)
-      if (state.historyManager && state.initialPosition) {
-        const currentLeft = el.style.left;
-        const currentTop = el.style.top;
-
-        // Record changes as a batch if both left and top changed
-        const leftChanged = state.initialPosition.left !== currentLeft;
-        const topChanged = state.initialPosition.top !== currentTop;
-
-        if (leftChanged || topChanged) {
-          if (leftChanged && topChanged) {
-            state.historyManager.beginBatch();
-          }
-
-          if (leftChanged) {
-            state.historyManager.push(
-              new StyleChange({
-                element: el,
-                property: "left",
-                oldValue: state.initialPosition.left,
-                newValue: currentLeft,
-              })
-            );
-          }
-
-          if (topChanged) {
-            state.historyManager.push(
-              new StyleChange({
-                element: el,
-                property: "top",
-                oldValue: state.initialPosition.top,
-                newValue: currentTop,
-              })
-            );
-          }
-
-          if (leftChanged && topChanged) {
-            state.historyManager.endBatch();
-          }
-        }
-
-        state.initialPosition = null;
+      const { x, y } = strategy.read(el);
+      state.element.x = x;
+      state.element.y = y;
+
+      // Record the styles the drag changed (if element was actually moved)
+      if (state.historyManager && state.initialStyles) {
+        state.historyManager.push(styleChanges(el, state.initialStyles));
+        state.initialStyles = null;
       }
     }
 
+    emit("drag:end", {
+      element: el,
+      x: state.element.x,
+      y: state.element.y,
+      moved: state.travelDistance > 0,
+    });
+
     const treatAsClick = !state.travelDistance || state.travelDistance < 5;
     if (clickEvent && treatAsClick) clickEvent(e);
     state.travelDistance = 0; // reset after
@@ -234,20 +347,44 @@ export function draggable({
     e.preventDefault();
     e.stopPropagation();
 
+    // The drag starts once the pointer really moves, a click isn't one
+    if (!state.travelDistance) {
+      if (e.clientX === state.mouse.x && e.clientY === state.mouse.y) return;
+      emit("drag:start", { element: el, x: state.element.x, y: state.element.y });
+    }
+
+    let dx = e.clientX - state.mouse.x;
+    let dy = e.clientY - state.mouse.y;
+
+    const freeMove = metaKey === "cmd" ? e.metaKey : e.ctrlKey;
+
+    if (state.snapper && !freeMove) {
+      const snapped = state.snapper.snap(dx, dy);
+      dx = snapped.dx;
+      dy = snapped.dy;
+      showGuides(snapped.lines);
+    } else {
+      hideGuides();
+    }
+
+    const x = state.element.x + dx;
+    const y = state.element.y + dy;
+
     if (el instanceof SVGElement) {
       el.setAttribute(
         "transform",
         `translate(
-        ${state.element.x + e.clientX - state.mouse.x},
-        ${state.element.y + e.clientY - state.mouse.y}
+        ${x},
+        ${y}
       )`
       );
     } else {
-      el.style.left = state.element.x + e.clientX - state.mouse.x + "px";
-      el.style.top = state.element.y + e.clientY - state.mouse.y + "px";
+      strategy.write(el, { x, y });
     }
 
     state.travelDistance += 1;
+
+    emit("drag:move", { element: el, x, y });
   };
 
   setup();
@@ -256,114 +393,385 @@ export function draggable({
   return el;
 }
 
-export function positionElement(els, direction, historyManager) {
-  // Begin batch if multiple elements
-  if (els.length > 1 && historyManager) {
-    historyManager.beginBatch();
-  }
-
-  els
-    .map((el) => ensurePositionable(el))
-    .map((el) => showHideSelected(el))
-    .map((el) => ({
-      el,
-      ...extractCurrentValueAndSide(el, direction),
-      amount: direction.split("+").includes("shift") ? 10 : 1,
-      negative: determineNegativity(el, direction),
-    }))
-    .map((payload) =>
-      Object.assign(payload, {
-        position: payload.negative
-          ? payload.current + payload.amount
-          : payload.current - payload.amount,
-      })
-    )
-    .forEach(({ el, style, position, current }) => {
-      if (el instanceof SVGElement) {
-        const oldTransform = el.getAttribute("transform");
-        setTranslateOnSVG(el, direction, position);
-        const newTransform = el.getAttribute("transform");
-
-        // Record SVG attribute change
-        if (historyManager) {
-          historyManager.push(
-            new AttributeChange({
-              element: el,
-              attribute: "transform",
-              oldValue: oldTransform,
-              newValue: newTransform,
-            })
-          );
-        }
-      } else {
-        const oldValue = el.style[style];
-        const newValue = position + "px";
-
-        // Record style change
-        if (historyManager) {
-          historyManager.push(
-            new StyleChange({
-              element: el,
-              property: style,
-              oldValue: oldValue,
-              newValue: newValue,
-            })
-          );
-        }
-
-        el.style[style] = newValue;
-      }
+// Elements a drag can drop other elements into, besides flex and grid containers
+const dropContainerTags = [
+  "div", "section", "article", "aside", "header", "footer", "main", "nav", "ul", "ol", "figure", "form",
+];
+
+const canContain = (el) =>
+  dropContainerTags.includes(el.localName) || /flex|grid/.test(getStyle(el, "display"));
+
+/**
+ * Axis the children of an element flow along, 'x' or 'y'
+ */
+const flowAxis = (parent, child) => {
+  const display = getStyle(parent, "display");
+
+  if (display.includes("flex")) return getStyle(parent, "flex-direction").startsWith("column") ? "y" : "x";
+  if (display.includes("grid")) return getStyle(parent, "grid-auto-flow").startsWith("column") ? "y" : "x";
+
+  return child && getStyle(child, "display").startsWith("inline") ? "x" : "y";
+};
+
+const axisSides = {
+  x: { start: "left", size: "width" },
+  y: { start: "top", size: "height" },
+};
+
+/**
+ * Make an element reorderable by dragging
+ *
+ * While dragging, a visbug-insertion shows where the element will go: between
+ * two siblings, or inside a container element. Dropping runs the reorder command.
+ *
+ * @param {Object} options
+ * @param {Element} options.el - Element to move
+ * @param {HTMLElement} options.container - Editor container, drops stay inside it
+ * @param {HTMLElement} [options.uiContainer] - Where the indicator goes
+ * @param {Function} options.execute - Runs an editor command
+ * @param {Element} [options.surface=el] - Element that starts the drag
+ * @returns {Element} - el, with a teardown() method
+ */
+export function reorderable({ el, container, uiContainer, execute, surface = el }) {
+  const state = {
+    start: null, // Pointer position on mousedown
+    dragging: false,
+    drop: null, // { parent, before } under the pointer
+    indicator: null, // visbug-insertion
+  };
+
+  const setup = () => {
+    surface.style.cursor = "grab";
+    surface.addEventListener("mousedown", onMouseDown, true);
+  };
+
+  const teardown = () => {
+    surface.style.cursor = null;
+    surface.removeEventListener("mousedown", onMouseDown, true);
+    stop();
+  };
+
+  const onMouseDown = (e) => {
+    if (e.target !== surface || e.button !== 0) return;
+    e.preventDefault();
+
+    state.start = { x: e.clientX, y: e.clientY };
+    document.addEventListener("mousemove", onMouseMove, true);
+    document.addEventListener("mouseup", onMouseUp, true);
+  };
+
+  const onMouseMove = (e) => {
+    const distance = Math.hypot(e.clientX - state.start.x, e.clientY - state.start.y);
+    if (!state.dragging && distance < 3) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    state.dragging = true;
+    state.drop = findDrop(e.clientX, e.clientY);
+    showIndicator(state.drop);
+  };
+
+  const onMouseUp = (e) => {
+    const { dragging, drop } = state;
+    stop();
+
+    if (!dragging) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    swallowClick();
+
+    if (drop) execute("reorder", { to: { parent: drop.parent, before: drop.before }, elements: [el] });
+  };
+
+  const stop = () => {
+    document.removeEventListener("mousemove", onMouseMove, true);
+    document.removeEventListener("mouseup", onMouseUp, true);
+    showIndicator(null);
+
+    state.start = null;
+    state.dragging = false;
+    state.drop = null;
+  };
+
+  // The click that ends a drag would select whatever is under the pointer
+  const swallowClick = () => {
+    const swallow = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    window.addEventListener("click", swallow, { capture: true, once: true });
+    setTimeout(() => window.removeEventListener("click", swallow, true));
+  };
+
+  /**
+   * Place among the children of parent nearest to the pointer
+   */
+  const dropInto = (parent, x, y) => {
+    const children = [...parent.children].filter((child) => child !== el && !isOffBounds(child));
+
+    if (!children.length) {
+      return { parent, before: null, indicator: parent.getBoundingClientRect() };
+    }
+
+    const { start, size } = axisSides[flowAxis(parent, children[0])];
+    const pointer = start === "left" ? x : y;
+    const before = children.find((child) => {
+      const rect = child.getBoundingClientRect();
+      return pointer < rect[start] + rect[size] / 2;
     });
 
-  // End batch if multiple elements
-  if (els.length > 1 && historyManager) {
-    historyManager.endBatch();
-  }
-}
+    return before
+      ? { parent, before, indicator: edgeLine(before, start, "start") }
+      : { parent, before: null, indicator: edgeLine(children[children.length - 1], start, "end") };
+  };
 
-const extractCurrentValueAndSide = (el, direction) => {
-  let style, current;
+  const edgeLine = (target, start, edge) => {
+    const rect = target.getBoundingClientRect();
+    const horizontal = start === "top";
+    const position = edge === "start" ? rect[start] : rect[horizontal ? "bottom" : "right"];
 
-  if (el instanceof SVGElement) {
-    const translate = el.attr("transform");
+    return horizontal
+      ? { left: rect.left, top: position, width: rect.width, height: 0 }
+      : { left: position, top: rect.top, width: 0, height: rect.height };
+  };
+
+  /**
+   * Where the element would go if dropped at a point, null when nowhere
+   */
+  const findDrop = (x, y) => {
+    let target = deepElementFromPoint(x, y);
+
+    if (!target || isOffBounds(target) || !container.contains(target) || el.contains(target)) return null;
+
+    // Only drop between children of the container or of another container element
+    while (target !== container && target.parentElement !== container && !canContain(target.parentElement)) {
+      target = target.parentElement;
+    }
+
+    if (target === container) return dropInto(container, x, y);
+
+    const { start, size } = axisSides[flowAxis(target.parentElement, target)];
+    const rect = target.getBoundingClientRect();
+    const offset = ((start === "left" ? x : y) - rect[start]) / rect[size];
+
+    // The middle of a container element drops inside it
+    if (canContain(target) && offset > 0.25 && offset < 0.75) return dropInto(target, x, y);
+
+    if (offset < 0.5) {
+      return { parent: target.parentElement, before: target, indicator: edgeLine(target, start, "start") };
+    }
+
+    let before = target.nextElementSibling;
+    while (before && (before === el || isOffBounds(before))) before = before.nextElementSibling;
+
+    return { parent: target.parentElement, before, indicator: edgeLine(target, start, "end") };
+  };
+
+  const showIndicator = (drop) => {
+    if (!drop) {
+      if (state.indicator) state.indicator.remove();
+      state.indicator = null;
+      return;
+    }
+
+    if (!state.indicator) {
+      state.indicator = document.createElement("visbug-insertion");
+      (uiContainer || document.body).appendChild(state.indicator);
+    }
+
+    const { left, top, width, height } = drop.indicator;
+    state.indicator.position = { left, top, width, height };
+  };
 
-    const [x, y] = translate ? extractSVGTranslate(translate) : [0, 0];
+  setup();
+  el.teardown = teardown;
 
-    style = "transform";
-    current = direction.includes("down") || direction.includes("up") ? y : x;
-  } else {
-    const side = getSide(direction).toLowerCase();
-    style = side === "top" || side === "bottom" ? "top" : "left";
-    current = getStyle(el, style);
+  return el;
+}
 
-    current === "auto" ? (current = 0) : (current = parseInt(current, 10));
-  }
+/**
+ * Move elements by a number of pixels
+ * @param {Element[]} els - Elements to move
+ * @param {string} direction - 'up', 'down', 'left' or 'right', optionally prefixed with 'shift+' for 10px
+ * @param {HistoryManager} historyManager - Records the move
+ * @param {number} [amount] - Pixels to move, overrides the shift prefix
+ * @param {Object} [options]
+ * @param {string} [options.positioning='offset'] - How HTML elements move: 'offset', 'transform' or 'margin'
+ */
+export function positionElement(els, direction, historyManager, amount, { positioning } = {}) {
+  const distance = amount ?? (direction.split("+").includes("shift") ? 10 : 1);
+
+  const dx = direction.includes("left") ? -distance : direction.includes("right") ? distance : 0;
+  const dy = direction.includes("up") ? -distance : direction.includes("down") ? distance : 0;
+
+  moveElements(
+    els.map((el) => ({ el, dx, dy })),
+    historyManager,
+    positioning
+  );
+}
 
-  return { style, current };
+const alignEdges = {
+  left: { axis: "x", at: 0 },
+  center: { axis: "x", at: 0.5 },
+  right: { axis: "x", at: 1 },
+  top: { axis: "y", at: 0 },
+  middle: { axis: "y", at: 0.5 },
+  bottom: { axis: "y", at: 1 },
 };
 
-const extractSVGTranslate = (translate) =>
-  translate
-    .substring(translate.indexOf("(") + 1, translate.indexOf(")"))
-    .split(",")
-    .map((val) => parseFloat(val));
+/**
+ * Align elements to an edge or center of the selection's bounds or of their parents
+ * @param {Element[]} els - Elements to align
+ * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+ * @param {HistoryManager} historyManager - Records the moves as one step
+ * @param {Object} [options]
+ * @param {string} [options.relativeTo='selection'] - 'selection' or 'parent'
+ * @param {string} [options.positioning='offset'] - How HTML elements move: 'offset', 'transform' or 'margin'
+ * @returns {Element[]} - The elements that moved
+ */
+export function alignElements(els, edge, historyManager, { relativeTo = "selection", positioning } = {}) {
+  const { axis, at } = alignEdges[edge];
+  const [start, size] = axis === "x" ? ["left", "width"] : ["top", "height"];
+
+  const boxes = els.map((el) => ({ el, rect: el.getBoundingClientRect() }));
+  const bounds = selectionBounds(boxes.map(({ rect }) => rect));
+
+  const moves = boxes.map(({ el, rect }) => {
+    const frame =
+      relativeTo === "parent" && el.parentElement ? el.parentElement.getBoundingClientRect() : bounds;
+
+    return { el, [start]: frame[start] + frame[size] * at - rect[size] * at };
+  });
+
+  return moveElements(moves, historyManager, positioning);
+}
+
+/**
+ * Space elements out with equal gaps between them, the outermost ones stay in place
+ * @param {Element[]} els - Elements to distribute, at least 3
+ * @param {string} direction - 'horizontal' or 'vertical'
+ * @param {HistoryManager} historyManager - Records the moves as one step
+ * @param {Object} [options]
+ * @param {string} [options.positioning='offset'] - How HTML elements move: 'offset', 'transform' or 'margin'
+ * @returns {Element[]} - The elements that moved
+ */
+export function distributeElements(els, direction, historyManager, { positioning } = {}) {
+  if (els.length < 3) return [];
+
+  const [start, end, size] =
+    direction === "horizontal" ? ["left", "right", "width"] : ["top", "bottom", "height"];
+
+  const boxes = els
+    .map((el) => ({ el, rect: el.getBoundingClientRect() }))
+    .sort((a, b) => a.rect[start] - b.rect[start]);
+
+  const first = boxes[0].rect[start];
+  const last = Math.max(...boxes.map(({ rect }) => rect[end]));
+  const occupied = boxes.reduce((total, { rect }) => total + rect[size], 0);
+  const gap = (last - first - occupied) / (boxes.length - 1);
+
+  let position = first;
+
+  const moves = boxes.map(({ el, rect }) => {
+    const move = { el, [start]: position };
+    position += rect[size] + gap;
+
+    return move;
+  });
 
-const setTranslateOnSVG = (el, direction, position) => {
-  const transform = el.attr("transform");
-  const [x, y] = transform ? extractSVGTranslate(transform) : [0, 0];
+  return moveElements(moves, historyManager, positioning);
+}
 
-  const pos =
-    direction.includes("down") || direction.includes("up")
-      ? `${x},${position}`
-      : `${position},${y}`;
+const selectionBounds = (rects) => {
+  const left = Math.min(...rects.map((rect) => rect.left));
+  const top = Math.min(...rects.map((rect) => rect.top));
+  const right = Math.max(...rects.map((rect) => rect.right));
+  const bottom = Math.max(...rects.map((rect) => rect.bottom));
 
-  el.attr("transform", `translate(${pos})`);
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
 };
 
-const determineNegativity = (el, direction) =>
-  direction.includes("right") || direction.includes("down");
+const roundPx = (value) => Math.round(value * 100) / 100;
 
-const ensurePositionable = (el) => {
-  if (el instanceof HTMLElement) el.style.position = "relative";
-  return el;
+/**
+ * Pixel offsets of a move, either given or from the element's box to a
+ * target left/top in viewport coordinates
+ */
+const moveDelta = (el, { dx = 0, dy = 0, left, top }) => {
+  if (left === undefined && top === undefined) return { dx, dy };
+
+  const rect = el.getBoundingClientRect();
+  return {
+    dx: left === undefined ? 0 : left - rect.left,
+    dy: top === undefined ? 0 : top - rect.top,
+  };
 };
+
+/**
+ * Move elements by pixel offsets or to a target left/top, HTML through a
+ * positioning strategy and SVG through its transform, and record every change
+ * as one history step
+ *
+ * Elements move in document order and targets are measured right before each
+ * move, as margins reflow the elements that come after.
+ */
+const moveElements = (moves, historyManager, positioning) => {
+  const strategy = positioningStrategy(positioning);
+  const changes = [];
+  const moved = [];
+
+  const ordered = [...moves].sort((a, b) =>
+    a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+
+  ordered.forEach((move) => {
+    const { el } = move;
+    const { dx, dy } = moveDelta(el, move);
+    if (Math.abs(dx) < 0.01 && Math.abs(dy) < 0.01) return;
+
+    moved.push(el);
+    showHideSelected(el);
+
+    if (el instanceof SVGElement) {
+      const oldTransform = el.getAttribute("transform");
+      const [x, y] = oldTransform ? extractSVGTranslate(oldTransform) : [0, 0];
+      const newTransform = `translate(${roundPx(x + dx)},${roundPx(y + dy)})`;
+
+      el.setAttribute("transform", newTransform);
+      changes.push(
+        new AttributeChange({
+          element: el,
+          attribute: "transform",
+          oldValue: oldTransform,
+          newValue: newTransform,
+        })
+      );
+      return;
+    }
+
+    const before = inlineStyles(el, strategy.properties);
+    const { x, y } = strategy.read(el);
+
+    strategy.prepare(el);
+    strategy.write(el, {
+      x: dx ? roundPx(x + dx) : undefined,
+      y: dy ? roundPx(y + dy) : undefined,
+    });
+
+    changes.push(...styleChanges(el, before));
+  });
+
+  if (historyManager && changes.length) historyManager.push(changes);
+
+  return moved;
+};
+
+const extractSVGTranslate = (translate) =>
+  translate
+    .substring(translate.indexOf("(") + 1, translate.indexOf(")"))
+    .split(",")
+    .map((val) => parseFloat(val));
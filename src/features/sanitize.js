@@ -0,0 +1,292 @@
+/**
+ * Sanitizer
+ *
+ * Cleans HTML before it enters the editor: pasted elements, text pasted into
+ * an element being edited, and setContent(). Tags, attributes and style
+ * properties outside the allowlist are removed, tags are unwrapped so their
+ * text survives. Editor state attributes and event handlers never survive.
+ *
+ * setContent() HTML is usually the user's own document, e.g. from getContent(),
+ * so it skips the allowlist and only loses what could run script.
+ */
+
+import { editorAttributes } from "../utilities/index.js";
+
+// Removed together with their content, no matter the allowlist
+const blockedTags = [
+  "script",
+  "style",
+  "template",
+  "iframe",
+  "frame",
+  "frameset",
+  "object",
+  "embed",
+  "noscript",
+  "link",
+  "meta",
+  "base",
+  "title",
+  "head",
+];
+
+// Removed from setContent() HTML, which skips the allowlist
+const contentBlockedTags = ["script", "base"];
+
+// Attributes whose value is a URL, checked for script URLs
+const urlAttributes = ["href", "src", "srcset", "poster", "action", "formaction", "xlink:href", "cite", "data"];
+
+// SVG animation attributes that can set a script URL, e.g. on an <a>'s href
+const animationTags = ["animate", "set"];
+const animationAttributes = ["to", "values", "from"];
+
+const unsafeURL = /^(javascript|vbscript|data:text\/html)/;
+
+/**
+ * Whether a URL runs script. Browsers drop tabs, line breaks and other control
+ * characters when parsing URLs, so "jav&#9;ascript:" is a script URL too.
+ */
+const isUnsafeURL = (value) =>
+  unsafeURL.test(value.replace(/[\u0000-\u001f]/g, "").trim().toLowerCase());
+
+const unsafeStyle = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding/i;
+
+const blockElements = ["p", "div", "li", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "tr", "section", "article"];
+
+const svgAttributes = [
+  "viewBox", "xmlns", "width", "height", "x", "y", "x1", "x2", "y1", "y2",
+  "cx", "cy", "r", "rx", "ry", "d", "points", "fill", "fill-rule", "clip-rule",
+  "stroke", "stroke-width", "stroke-linecap", "stroke-linejoin", "opacity",
+  "transform", "preserveAspectRatio",
+];
+
+/**
+ * Default allowlist, spread it to extend rather than replace it
+ */
+export const defaultSanitizeOptions = {
+  tags: [
+    "a", "abbr", "article", "aside", "b", "blockquote", "br", "caption", "cite",
+    "code", "col", "colgroup", "dd", "del", "details", "dfn", "div", "dl", "dt",
+    "em", "figcaption", "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6",
+    "header", "hr", "i", "img", "ins", "kbd", "li", "main", "mark", "nav", "ol",
+    "p", "picture", "pre", "q", "s", "section", "small", "source", "span",
+    "strike", "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot",
+    "th", "thead", "time", "tr", "u", "ul", "video",
+    "svg", "g", "path", "rect", "circle", "ellipse", "line", "polyline", "polygon", "text", "tspan",
+  ],
+  // Tag -> attribute names, "*" applies to every tag, "prefix-*" matches a prefix
+  attributes: {
+    "*": ["class", "id", "title", "lang", "dir", "style", "role", "aria-*", "data-*"],
+    a: ["href", "target", "rel", "name"],
+    img: ["src", "srcset", "sizes", "alt", "width", "height", "loading"],
+    source: ["src", "srcset", "sizes", "media", "type"],
+    video: ["src", "poster", "controls", "autoplay", "loop", "muted", "playsinline", "width", "height"],
+    td: ["colspan", "rowspan", "headers"],
+    th: ["colspan", "rowspan", "headers", "scope"],
+    col: ["span"],
+    colgroup: ["span"],
+    ol: ["start", "reversed", "type"],
+    li: ["value"],
+    time: ["datetime"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite", "datetime"],
+    ins: ["cite", "datetime"],
+    ...Object.fromEntries(
+      ["svg", "g", "path", "rect", "circle", "ellipse", "line", "polyline", "polygon", "text", "tspan"].map(
+        (tag) => [tag, svgAttributes]
+      )
+    ),
+  },
+  // Style properties, a property also allows its longhands ("margin" allows "margin-top")
+  styles: [
+    "color", "background-color", "background-image", "background-size",
+    "background-position", "background-repeat", "font-size", "font-style",
+    "font-weight", "line-height", "letter-spacing", "text-align",
+    "text-decoration", "text-transform", "vertical-align", "white-space",
+    "position", "top", "right", "bottom", "left", "transform", "translate",
+    "rotate", "scale", "margin", "padding", "width", "height", "min-width",
+    "max-width", "min-height", "max-height", "display", "border", "opacity",
+    "object-fit", "object-position",
+  ],
+  plainText: false,
+  transform: null,
+};
+
+const matches = (list, name) =>
+  list.some((entry) =>
+    entry.endsWith("*") ? name.startsWith(entry.slice(0, -1)) : entry === name
+  );
+
+const escapeHTML = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Turn plain text into HTML that shows the same text, keeping line breaks
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export const textToHTML = (text = "") => escapeHTML(text).replace(/\r?\n/g, "<br>");
+
+/**
+ * Text of a fragment with line breaks where its blocks and <br>s were
+ */
+const fragmentText = (node) =>
+  [...node.childNodes]
+    .map((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return child.nodeValue;
+      if (child.nodeType !== Node.ELEMENT_NODE) return "";
+      if (child.localName === "br") return "\n";
+
+      const text = fragmentText(child);
+      return blockElements.includes(child.localName) ? `${text}\n` : text;
+    })
+    .join("");
+
+/**
+ * Create a sanitizer
+ *
+ * @param {Object} [options] - Overrides for defaultSanitizeOptions
+ * @param {string[]} [options.tags] - Allowed tags
+ * @param {Object} [options.attributes] - Allowed attributes by tag, "*" for all tags
+ * @param {string[]} [options.styles] - Allowed style properties
+ * @param {boolean} [options.plainText=false] - Keep only the text, with its line breaks
+ * @param {Function} [options.transform] - Called with (fragment, { source }) after cleaning,
+ *   may change the fragment in place or return a new one
+ * @returns {Object} - Sanitizer API
+ */
+export function Sanitizer(options = {}) {
+  const { tags, attributes, styles, plainText, transform } = {
+    ...defaultSanitizeOptions,
+    ...options,
+  };
+
+  const allowedAttributes = (tag) => [...(attributes["*"] || []), ...(attributes[tag] || [])];
+
+  const cleanStyle = (element, allowlist) => {
+    const kept = Array.from(element.style)
+      .filter(
+        (property) =>
+          !allowlist ||
+          styles.some((allowed) => property === allowed || property.startsWith(`${allowed}-`))
+      )
+      .map((property) => [
+        property,
+        element.style.getPropertyValue(property),
+        element.style.getPropertyPriority(property),
+      ])
+      .filter(([, value]) => !unsafeStyle.test(value));
+
+    element.removeAttribute("style");
+    kept.forEach(([property, value, priority]) =>
+      element.style.setProperty(property, value, priority)
+    );
+
+    if (!element.getAttribute("style")) element.removeAttribute("style");
+  };
+
+  const cleanAttributes = (element, allowlist) => {
+    const allowed = allowedAttributes(element.localName);
+
+    [...element.attributes].forEach(({ name, value }) => {
+      const lowerName = name.toLowerCase();
+      const keep =
+        !lowerName.startsWith("on") &&
+        lowerName !== "srcdoc" &&
+        !editorAttributes.includes(lowerName) &&
+        (!allowlist || matches(allowed, name)) &&
+        !(urlAttributes.includes(lowerName) && isUnsafeURL(value)) &&
+        !(
+          animationTags.includes(element.localName) &&
+          animationAttributes.includes(lowerName) &&
+          value.split(";").some(isUnsafeURL)
+        );
+
+      if (!keep) element.removeAttribute(name);
+    });
+
+    if (element.hasAttribute("style")) cleanStyle(element, allowlist);
+  };
+
+  // Without the allowlist only <script> and <base> go, everything else is kept as is
+  const cleanNode = (node, allowlist) => {
+    [...node.childNodes].forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+      if (!allowlist && child.nodeType === Node.COMMENT_NODE) return;
+
+      const removed = allowlist
+        ? blockedTags.includes(child.localName)
+        : contentBlockedTags.includes(child.localName);
+
+      if (child.nodeType !== Node.ELEMENT_NODE || removed) {
+        child.remove();
+        return;
+      }
+
+      cleanNode(child, allowlist);
+
+      // Unwrap tags outside the allowlist, e.g. <font> or Word's <o:p>
+      if (allowlist && !tags.includes(child.localName)) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+
+      cleanAttributes(child, allowlist);
+    });
+  };
+
+  const runTransform = (fragment, source) => {
+    if (!transform) return fragment;
+
+    try {
+      return transform(fragment, { source }) || fragment;
+    } catch (error) {
+      console.error("Sanitize transform failed:", error);
+      return fragment;
+    }
+  };
+
+  /**
+   * Sanitize HTML into a fragment
+   *
+   * 'content' only removes scripts, event handlers and script URLs, the
+   * allowlist and plainText apply to pastes.
+   *
+   * @param {string} html - HTML to clean
+   * @param {Object} [context]
+   * @param {string} [context.source='content'] - 'paste', 'text' or 'content', passed to transform
+   * @returns {DocumentFragment}
+   */
+  const fragment = (html, { source = "content" } = {}) => {
+    const allowlist = source !== "content";
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    cleanNode(template.content, allowlist);
+    const cleaned = runTransform(template.content, source);
+
+    if (!plainText || !allowlist) return cleaned;
+
+    const text = document.createElement("template");
+    text.innerHTML = textToHTML(fragmentText(cleaned).replace(/\n+$/, ""));
+    return text.content;
+  };
+
+  /**
+   * Sanitize HTML into a string
+   * @param {string} html - HTML to clean
+   * @param {Object} [context] - See fragment()
+   * @returns {string}
+   */
+  const sanitize = (html, context) => {
+    const container = document.createElement("div");
+    container.append(fragment(html, context));
+    return container.innerHTML;
+  };
+
+  return {
+    fragment,
+    sanitize,
+    plainText,
+  };
+}
@@ -6,8 +6,9 @@
  */
 
 import $ from "blingblingjs";
-import hotkeys from "hotkeys-js";
+import { ownsHotkeys } from "./hotkeys.js";
 import { DOMChange, StyleChange, AttributeChange, TextChange } from "./history.js";
+import { measureDistances } from "./measurements.js";
 
 import {
   metaKey,
@@ -19,8 +20,18 @@ import {
   deepElementFromPoint,
   isFixed,
   onRemove,
+  matchesIgnoreList,
+  isSelectorValid,
+  camelToDash,
+  nodePath,
+  resolveNodePath,
+  contentChildNodes,
+  editorAttributes,
 } from "../utilities/index.js";
 
+// Suffix that keeps label ids unique across editors
+let label_count = 0;
+
 /**
  * Create a selectable system for the editor
  * @param {Object} editor - The VisBugEditor instance
@@ -30,12 +41,14 @@ export function Selectable(editor) {
   const container = editor.container;
   const historyManager = editor.historyManager;
   const uiContainer = editor.getUIContainer(); // Where to append UI elements
+  const keyboard = editor.createHotkeyBinder(); // Only fires while this editor owns the keyboard
 
   let selected = [];
   let selectedCallbacks = [];
   let labels = [];
   let handles = [];
   let observers = []; // Track MutationObservers for cleanup
+  let selectedPaths = new WeakMap(); // Element -> path inside container when it was selected
 
   const hover_state = {
     target: null,
@@ -43,26 +56,23 @@ export function Selectable(editor) {
     label: null,
   };
 
+  const marquee_state = {
+    start: null, // { x, y } where the drag started, in viewport coordinates
+    element: null, // visbug-marquee, once the pointer moved far enough
+    suppressClick: false, // Swallow the click that ends a marquee drag
+  };
+
+  const measure_state = {
+    target: null, // Element measured against the selection
+    element: null, // visbug-distance
+  };
+
   /**
    * Check if an element matches any selector in the ignore list
    * @param {HTMLElement} element - The element to check
    * @returns {boolean} - True if element should be ignored
    */
-  const isIgnored = (element) => {
-    if (!element || !editor.ignoreSelectors || editor.ignoreSelectors.length === 0) {
-      return false;
-    }
-
-    return editor.ignoreSelectors.some((selector) => {
-      try {
-        return element.matches(selector);
-      } catch (e) {
-        // Invalid selector, skip it
-        console.warn(`Invalid CSS selector in ignore list: ${selector}`);
-        return false;
-      }
-    });
-  };
+  const isIgnored = (element) => matchesIgnoreList(element, editor.ignoreSelectors);
 
   /**
    * Start listening for selection events
@@ -72,19 +82,33 @@ export function Selectable(editor) {
     container.addEventListener("dblclick", on_dblclick, true);
     container.addEventListener("selectstart", on_selection);
     container.addEventListener("mousemove", on_hover);
+    container.addEventListener("mousedown", on_marquee_start);
 
     document.addEventListener("copy", on_copy);
     document.addEventListener("cut", on_cut);
     document.addEventListener("paste", on_paste);
+    document.addEventListener("keydown", on_measure_key);
+    document.addEventListener("keyup", on_measure_key);
 
     watchCommandKey();
 
     // Keyboard shortcuts
-    hotkeys("esc", on_esc);
-    hotkeys(`${metaKey}+d`, on_duplicate);
-    hotkeys("backspace,del,delete", on_delete);
-    hotkeys("alt+del,alt+backspace", on_clearstyles);
-    hotkeys("tab,shift+tab,enter,shift+enter", on_keyboard_traversal);
+    keyboard.bindCommand("clearSelection", on_esc);
+    keyboard.bindCommand("duplicate", on_duplicate);
+    keyboard.bindCommand("delete", on_delete);
+    keyboard.bindCommand("clearStyles", on_clearstyles);
+    keyboard.bindCommand("copyStyles", on_copy_styles);
+    keyboard.bindCommand("pasteStyles", on_paste_styles);
+    keyboard.bindCommand("group", on_group);
+    keyboard.bindCommand("ungroup", on_ungroup);
+    keyboard.bindCommand("expandSelection", on_expand_selection(false));
+    keyboard.bindCommand("expandSelectionAll", on_expand_selection(true));
+    keyboard.bindCommand("selectNextSibling", on_keyboard_traversal("next"));
+    keyboard.bindCommand("selectPreviousSibling", on_keyboard_traversal("previous"));
+    keyboard.bindCommand("selectFirstChild", on_keyboard_traversal("child"));
+    keyboard.bindCommand("selectParent", on_keyboard_traversal("parent"));
+    keyboard.bindCommand("selectChildren", on_select_family("selectChildren"));
+    keyboard.bindCommand("selectParents", on_select_family("selectParents"));
   };
 
   /**
@@ -95,20 +119,35 @@ export function Selectable(editor) {
     container.removeEventListener("dblclick", on_dblclick, true);
     container.removeEventListener("selectstart", on_selection);
     container.removeEventListener("mousemove", on_hover);
+    container.removeEventListener("mousedown", on_marquee_start);
+    stopMarquee();
 
     document.removeEventListener("copy", on_copy);
     document.removeEventListener("cut", on_cut);
     document.removeEventListener("paste", on_paste);
+    document.removeEventListener("keydown", on_measure_key);
+    document.removeEventListener("keyup", on_measure_key);
 
-    hotkeys.unbind(
-      `esc,${metaKey}+d,backspace,del,delete,alt+del,alt+backspace,tab,shift+tab,enter,shift+enter`
-    );
+    document.removeEventListener("keydown", on_command_keydown);
+    document.removeEventListener("keyup", on_command_keyup);
+
+    unselect_all({ silent: true });
+    clearHover();
+
+    keyboard.unbindAll();
   };
 
   /**
    * Handle click events - primary selection mechanism
    */
   const on_click = (e) => {
+    if (marquee_state.suppressClick) {
+      marquee_state.suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+
     const $target = deepElementFromPoint(e.clientX, e.clientY);
 
     if (
@@ -129,6 +168,114 @@ export function Selectable(editor) {
     else select($target);
   };
 
+  // ========================================================================
+  // Marquee selection
+  // ========================================================================
+
+  // Pixels the pointer has to travel before a press becomes a marquee drag
+  const MARQUEE_THRESHOLD = 3;
+
+  /**
+   * Start a marquee drag on empty container space
+   */
+  const on_marquee_start = (e) => {
+    if (e.button !== 0 || deepElementFromPoint(e.clientX, e.clientY) !== container) return;
+
+    marquee_state.start = { x: e.clientX, y: e.clientY };
+    marquee_state.suppressClick = false;
+
+    document.addEventListener("mousemove", on_marquee_move, true);
+    document.addEventListener("mouseup", on_marquee_end, true);
+  };
+
+  const marqueeRect = (e) => {
+    const { x, y } = marquee_state.start;
+
+    return {
+      left: Math.min(x, e.clientX),
+      top: Math.min(y, e.clientY),
+      width: Math.abs(e.clientX - x),
+      height: Math.abs(e.clientY - y),
+    };
+  };
+
+  const on_marquee_move = (e) => {
+    const rect = marqueeRect(e);
+
+    if (!marquee_state.element) {
+      if (Math.max(rect.width, rect.height) < MARQUEE_THRESHOLD) return;
+
+      clearHover();
+      marquee_state.element = document.createElement("visbug-marquee");
+      uiContainer.appendChild(marquee_state.element);
+    }
+
+    e.preventDefault();
+    marquee_state.element.position = rect;
+  };
+
+  const on_marquee_end = (e) => {
+    const dragged = !!marquee_state.element;
+    const rect = marqueeRect(e);
+
+    stopMarquee();
+    if (!dragged) return;
+
+    // The click follows in the same task, when the drag ended on the container
+    marquee_state.suppressClick = true;
+    setTimeout(() => (marquee_state.suppressClick = false));
+
+    const $hits = marqueeHits(rect, editor.options.marqueeMode || "intersect");
+
+    if (e.altKey) {
+      $hits
+        .filter(($el) => $el.hasAttribute("data-selected"))
+        .forEach(($el) => unselect($el.getAttribute("data-label-id")));
+      return;
+    }
+
+    if (!e.shiftKey) unselect_all({ silent: true });
+
+    $hits.forEach(select);
+    if (!$hits.length && !e.shiftKey) tellWatchers();
+  };
+
+  const stopMarquee = () => {
+    document.removeEventListener("mousemove", on_marquee_move, true);
+    document.removeEventListener("mouseup", on_marquee_end, true);
+
+    marquee_state.element && marquee_state.element.remove();
+    marquee_state.element = null;
+    marquee_state.start = null;
+  };
+
+  /**
+   * Selectable elements under a marquee rectangle, outermost only
+   * @param {Object} rect - { left, top, width, height } in viewport coordinates
+   * @param {string} mode - 'intersect' or 'contain'
+   * @returns {HTMLElement[]}
+   */
+  const marqueeHits = (rect, mode) => {
+    const right = rect.left + rect.width;
+    const bottom = rect.top + rect.height;
+
+    const isHit = ($el) => {
+      const box = $el.getBoundingClientRect();
+      if (!box.width && !box.height) return false;
+
+      return mode === "contain"
+        ? box.left >= rect.left && box.right <= right && box.top >= rect.top && box.bottom <= bottom
+        : box.left < right && box.right > rect.left && box.top < bottom && box.bottom > rect.top;
+    };
+
+    const $hits = [...container.querySelectorAll("*")].filter(
+      ($el) => !isOffBounds($el) && !isIgnored($el) && isHit($el)
+    );
+
+    // A nested match is covered by its matching ancestor
+    return $hits.filter(($el) => !$hits.some(($other) => $other !== $el && $other.contains($el)));
+  };
+
   /**
    * Handle double-click - could trigger text editing
    */
@@ -147,15 +294,22 @@ export function Selectable(editor) {
    * Handle hover state
    */
   const on_hover = (e) => {
+    if (marquee_state.element) return;
+
     const $target = deepElementFromPoint(e.clientX, e.clientY);
 
     if (isOffBounds($target) || isIgnored($target)) {
       if (hover_state.element) clearHover();
+      clearMeasurements();
       return;
     }
 
-    if ($target.hasAttribute("data-selected") || $target.nodeName === "visbug-hover")
+    if ($target.hasAttribute("data-selected") || $target.nodeName === "visbug-hover") {
+      clearMeasurements();
       return clearHover();
+    }
+
+    measure(e.altKey ? $target : null);
 
     if (hover_state.target && hover_state.target === $target) return;
 
@@ -183,8 +337,10 @@ export function Selectable(editor) {
     $el.setAttribute("data-selected-hide", true);
 
     selected.unshift($el);
+    selectedPaths.set($el, nodePath($el, container));
 
-    const id = $el.getAttribute("data-label-id") || "label_" + Number(new Date());
+    // Unique even when several elements are selected within a millisecond
+    const id = $el.getAttribute("data-label-id") || `label_${Number(new Date())}_${label_count++}`;
 
     if (!$el.hasAttribute("data-label-id")) $el.setAttribute("data-label-id", id);
 
@@ -218,11 +374,8 @@ export function Selectable(editor) {
       });
     }
 
-    // Track observers for cleanup
-    observers.push({ element: $el, observer, parentObserver, label, handle });
-
     // Setup removal cleanup
-    onRemove($el, () => {
+    const removeObserver = onRemove($el, () => {
       // Element was removed from DOM, cleanup UI
       label && label.remove();
       handle && handle.remove();
@@ -238,6 +391,9 @@ export function Selectable(editor) {
       tellWatchers();
     });
 
+    // Track observers for cleanup
+    observers.push({ element: $el, observer, parentObserver, removeObserver, label, handle });
+
     tellWatchers();
     return $el;
   };
@@ -249,8 +405,7 @@ export function Selectable(editor) {
     // Find and disconnect observers for this element
     const observerEntry = observers.find((o) => o.element.getAttribute("data-label-id") === id);
     if (observerEntry) {
-      observerEntry.observer.disconnect();
-      observerEntry.parentObserver.disconnect();
+      disconnectObservers(observerEntry);
       observers = observers.filter((o) => o !== observerEntry);
     }
 
@@ -258,18 +413,18 @@ export function Selectable(editor) {
       .filter((node) => node.getAttribute("data-label-id") === id)
       .forEach((node) => node.remove());
 
-    selected
-      .filter((node) => node.getAttribute("data-label-id") === id)
-      .forEach((node) =>
-        $(node).attr({
-          "data-selected": null,
-          "data-selected-hide": null,
-          "data-label-id": null,
-          "data-pseudo-select": null,
-        })
-      );
+    const unselected = selected.filter((node) => node.getAttribute("data-label-id") === id);
+
+    unselected.forEach((node) =>
+      $(node).attr({
+        "data-selected": null,
+        "data-selected-hide": null,
+        "data-label-id": null,
+        "data-pseudo-select": null,
+      })
+    );
 
-    selected = selected.filter((node) => node.getAttribute("data-label-id") !== id);
+    selected = selected.filter((node) => !unselected.includes(node));
 
     tellWatchers();
   };
@@ -279,19 +434,15 @@ export function Selectable(editor) {
    */
   const unselect_all = ({ silent = false } = {}) => {
     // Disconnect all observers
-    observers.forEach((o) => {
-      o.observer.disconnect();
-      o.parentObserver.disconnect();
-    });
+    observers.forEach(disconnectObservers);
     observers = [];
 
-    selected.forEach(
-      ($el) =>
-        $el.removeAttribute("data-selected") &&
-        $el.removeAttribute("data-selected-hide") &&
-        $el.removeAttribute("data-label-id") &&
-        $el.removeAttribute("data-pseudo-select")
-    );
+    selected.forEach(($el) => {
+      $el.removeAttribute("data-selected");
+      $el.removeAttribute("data-selected-hide");
+      $el.removeAttribute("data-label-id");
+      $el.removeAttribute("data-pseudo-select");
+    });
 
     labels.forEach((label) => label.remove());
     handles.forEach((handle) => handle.remove());
@@ -299,10 +450,56 @@ export function Selectable(editor) {
     selected = [];
     handles = [];
     labels = [];
+    clearMeasurements();
 
     if (!silent) tellWatchers();
   };
 
+  /**
+   * Disconnect the observers tracking a selected element
+   */
+  const disconnectObservers = ({ observer, parentObserver, removeObserver }) => {
+    observer.disconnect();
+    parentObserver.disconnect();
+    removeObserver.disconnect();
+  };
+
+  /**
+   * Get paths of the selected elements relative to the container
+   *
+   * Elements that are no longer in the container (e.g. after their content
+   * was replaced) report the path they had when they were selected.
+   *
+   * @returns {number[][]}
+   */
+  const selectionPaths = () =>
+    selected
+      .map(($el) =>
+        container.contains($el) ? nodePath($el, container) : selectedPaths.get($el)
+      )
+      .filter(Boolean);
+
+  /**
+   * Drop all selection state bound to the old DOM and optionally reselect
+   * the elements found at the given paths in the current DOM
+   *
+   * @param {number[][]} [paths=[]] - Paths from selectionPaths()
+   */
+  const refresh = (paths = []) => {
+    clearHover();
+    unselect_all({ silent: true });
+    selectedPaths = new WeakMap();
+
+    // Select in reverse, select() prepends to the selection
+    paths
+      .map((path) => resolveNodePath(path, container))
+      .filter((node) => node?.nodeType === Node.ELEMENT_NODE)
+      .reverse()
+      .forEach(($el) => select($el));
+
+    tellWatchers();
+  };
+
   /**
    * Clear hover state
    */
@@ -318,6 +515,41 @@ export function Selectable(editor) {
     hover_state.target = null;
   };
 
+  /**
+   * Show the distances between the selected element and another one,
+   * clear them when there is nothing to measure
+   * @param {HTMLElement|null} $target - Element to measure against the selection
+   */
+  const measure = ($target) => {
+    const [$anchor] = selected;
+
+    if (!$target || !$anchor || selected.includes($target)) return clearMeasurements();
+
+    if (!measure_state.element) {
+      measure_state.element = document.createElement("visbug-distance");
+      uiContainer.appendChild(measure_state.element);
+    }
+
+    measure_state.target = $target;
+    measure_state.element.measurements = measureDistances(
+      $anchor.getBoundingClientRect(),
+      $target.getBoundingClientRect()
+    );
+  };
+
+  const clearMeasurements = () => {
+    if (measure_state.element) measure_state.element.remove();
+    measure_state.element = null;
+    measure_state.target = null;
+  };
+
+  // Pressing or releasing Alt over an element toggles its measurements
+  const on_measure_key = (e) => {
+    if (e.key !== "Alt") return;
+
+    measure(e.altKey ? hover_state.target : null);
+  };
+
   /**
    * Create hover indicator element
    */
@@ -378,8 +610,9 @@ export function Selectable(editor) {
 
     handle.setAttribute("data-label-id", id);
 
-    // Attach historyManager for resize tracking
+    // Attach historyManager and event emitter for resize tracking
     handle.historyManager = historyManager;
+    handle.emit = (eventName, data) => editor.emit(eventName, data);
 
     uiContainer.appendChild(handle);
     return handle;
@@ -433,6 +666,8 @@ export function Selectable(editor) {
     if (editor.onSelectionChange) {
       editor.onSelectionChange(selectedElements);
     }
+
+    editor.emit("selectionchange", selectedElements);
   };
 
   /**
@@ -451,17 +686,20 @@ export function Selectable(editor) {
    * Watch for command key (ctrl/cmd) state
    */
   const watchCommandKey = () => {
-    const root = document.body;
+    document.addEventListener("keydown", on_command_keydown);
+    document.addEventListener("keyup", on_command_keyup);
+  };
 
-    document.addEventListener("keydown", (e) => {
-      if (e[metaKey + "Key"] && !root.hasAttribute("data-" + metaKey))
-        root.setAttribute("data-" + metaKey, true);
-    });
+  const on_command_keydown = (e) => {
+    const root = document.body;
+    if (e[metaKey + "Key"] && !root.hasAttribute("data-" + metaKey))
+      root.setAttribute("data-" + metaKey, true);
+  };
 
-    document.addEventListener("keyup", (e) => {
-      if (!e[metaKey + "Key"] && root.hasAttribute("data-" + metaKey))
-        root.removeAttribute("data-" + metaKey);
-    });
+  const on_command_keyup = (e) => {
+    const root = document.body;
+    if (!e[metaKey + "Key"] && root.hasAttribute("data-" + metaKey))
+      root.removeAttribute("data-" + metaKey);
   };
 
   // ========================================================================
@@ -472,17 +710,83 @@ export function Selectable(editor) {
 
   const on_esc = (e) => {
     e.preventDefault();
-    unselect_all();
-    clearHover();
+    editor.execute("clearSelection");
   };
 
   const on_duplicate = (e) => {
     e.preventDefault();
+    editor.execute("duplicate");
+  };
+
+  const on_delete = (e) => {
+    e.preventDefault();
+    editor.execute("delete");
+  };
+
+  const on_clearstyles = (e) => {
+    e.preventDefault();
+    editor.execute("clearStyles");
+  };
+
+  const on_copy_styles = (e) => {
+    e.preventDefault();
+    editor.execute("copyStyles");
+  };
+
+  const on_paste_styles = (e) => {
+    e.preventDefault();
+    editor.execute("pasteStyles");
+  };
+
+  const on_group = (e) => {
+    e.preventDefault();
+    editor.execute("group");
+  };
+
+  const on_ungroup = (e) => {
+    e.preventDefault();
+    editor.execute("ungroup");
+  };
+
+  const on_expand_selection = (all) => (e) => {
+    if (!selected.length) return;
 
-    if (!historyManager || !selected.length) return;
+    e.preventDefault();
+    editor.execute("expandSelection", { all });
+  };
+
+  const on_keyboard_traversal = (to) => (e) => {
+    if (!selected.length) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    editor.execute("traverse", { to });
+  };
+
+  const on_select_family = (command) => (e) => {
+    if (!selected.length) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    editor.execute(command);
+  };
+
+  // ========================================================================
+  // Selection commands
+  // ========================================================================
+
+  const clearSelection = () => {
+    unselect_all();
+    clearHover();
+  };
+
+  const duplicate = (els = selected) => {
+    if (!historyManager || !els.length) return;
 
     const changes = [];
-    selected.forEach(($el) => {
+    els.forEach(($el) => {
       const $clone = $el.cloneNode(true);
       $clone.removeAttribute("data-selected");
       $clone.removeAttribute("data-label-id");
@@ -505,12 +809,10 @@ export function Selectable(editor) {
     }
   };
 
-  const on_delete = (e) => {
-    e.preventDefault();
-
-    if (!historyManager || !selected.length) return;
+  const remove = (els = selected) => {
+    if (!historyManager || !els.length) return;
 
-    const changes = selected.map(($el) => {
+    const changes = els.map(($el) => {
       const parent = $el.parentNode;
       const sibling = $el.nextSibling;
 
@@ -523,20 +825,26 @@ export function Selectable(editor) {
       });
     });
 
-    selected.forEach(($el) => $el.remove());
-    unselect_all();
+    const removed = [...els];
+    removed.forEach(($el) => $el.remove());
+
+    if (removed.length === selected.length && removed.every(($el) => selected.includes($el))) {
+      unselect_all();
+    } else {
+      removed
+        .filter(($el) => selected.includes($el))
+        .forEach(($el) => unselect($el.getAttribute("data-label-id")));
+    }
 
     if (changes.length) {
       historyManager.push(changes);
     }
   };
 
-  const on_clearstyles = (e) => {
-    e.preventDefault();
-
-    if (!historyManager || !selected.length) return;
+  const clearStyles = (els = selected) => {
+    if (!historyManager || !els.length) return;
 
-    const changes = selected.map(($el) => {
+    const changes = els.map(($el) => {
       const oldStyle = $el.getAttribute("style") || "";
 
       return new AttributeChange({
@@ -547,83 +855,634 @@ export function Selectable(editor) {
       });
     });
 
-    selected.forEach(($el) => $el.removeAttribute("style"));
+    els.forEach(($el) => $el.removeAttribute("style"));
 
     if (changes.length) {
       historyManager.push(changes);
     }
   };
 
-  const on_keyboard_traversal = (e) => {
-    if (!selected.length) return;
+  let copied_styles = null; // One list of { prop, value } per copied element
+  let copied_css = ""; // CSS text copyStyles() put on the clipboard
 
-    e.preventDefault();
-    e.stopPropagation();
+  const toCSSText = (styles) =>
+    styles.map(({ prop, value }) => `${camelToDash(prop)}: ${value};`).join("\n");
 
-    const $current = selected[0];
-    let $next;
+  /**
+   * Parse CSS declarations, e.g. from the clipboard, into { prop, value } pairs
+   * @param {string} css - e.g. "color: red; font-size: 2rem"
+   * @returns {Array<{ prop: string, value: string }>}
+   */
+  const parseCSSText = (css) => {
+    const probe = document.createElement("div");
+    probe.style.cssText = css;
+
+    return Array.from(probe.style)
+      .filter((property) => !property.startsWith("--"))
+      .map((property) => ({
+        prop: property.replace(/-([a-z])/g, (m, letter) => letter.toUpperCase()),
+        value: probe.style.getPropertyValue(property),
+      }));
+  };
+
+  /**
+   * Copy the styles of elements, and the first one's as CSS text to the clipboard
+   * @param {HTMLElement[]} [els=selected] - Elements to copy from
+   * @returns {string} - The CSS text of the first element
+   */
+  const copyStyles = (els = selected) => {
+    if (!els.length) return "";
+
+    copied_styles = els.map(($el) => getStyles($el).filter(({ value }) => value));
+    const css = toCSSText(copied_styles[0]);
+    copied_css = css;
 
-    if (e.key === "Tab" && !e.shiftKey) {
-      $next = $current.nextElementSibling;
-    } else if (e.key === "Tab" && e.shiftKey) {
-      $next = $current.previousElementSibling;
-    } else if (e.key === "Enter" && !e.shiftKey) {
-      $next = $current.firstElementChild;
-    } else if (e.key === "Enter" && e.shiftKey) {
-      $next = $current.parentElement;
+    if (navigator.clipboard) {
+      navigator.clipboard
+        .writeText(css)
+        .catch((error) => console.warn("Failed to copy styles to the clipboard:", error));
     }
 
-    if ($next && !isOffBounds($next)) {
-      unselect_all({ silent: true });
-      select($next);
+    return css;
+  };
+
+  /**
+   * Paste copied styles onto elements as one undo step
+   *
+   * With several copied elements, their styles are cycled across the targets.
+   * CSS text on the clipboard wins when something else was copied since.
+   *
+   * @param {HTMLElement[]} [els=selected] - Elements to paste onto
+   * @param {string} [css] - CSS text to paste instead of the copied styles
+   * @returns {boolean|Promise<boolean>} - Whether styles were pasted, async when reading the clipboard
+   */
+  const pasteStyles = (els = selected, css) => {
+    if (!els.length) return false;
+
+    if (css != null) return applyStyles(els, [parseCSSText(css)]);
+
+    if (!navigator.clipboard) return copied_styles ? applyStyles(els, copied_styles) : false;
+
+    return navigator.clipboard
+      .readText()
+      .catch((error) => {
+        if (!copied_styles) console.warn("Failed to read styles from the clipboard:", error);
+        return "";
+      })
+      .then((text) =>
+        copied_styles && (!text || text === copied_css)
+          ? applyStyles(els, copied_styles)
+          : applyStyles(els, [parseCSSText(text)])
+      );
+  };
+
+  const applyStyles = (els, styleSets) => {
+    const changes = els.flatMap(($el, i) =>
+      styleSets[i % styleSets.length].map(({ prop, value }) => {
+        const change = new StyleChange({
+          element: $el,
+          property: prop,
+          oldValue: $el.style[prop],
+          newValue: value,
+        });
+
+        $el.style[prop] = value;
+        return change;
+      })
+    );
+
+    if (!changes.length) return false;
+
+    if (historyManager) {
+      historyManager.push(changes);
+    }
+
+    return true;
+  };
+
+  // Elements in document order, without the ones inside another of them
+  const outermostInOrder = (els) =>
+    [...new Set(els)]
+      .filter(($el) => $el !== container && container.contains($el))
+      .filter(($el) => !els.some(($other) => $other !== $el && $other.contains($el)))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+  /**
+   * Wrap elements in a new element, placed where the first of them was
+   *
+   * @param {HTMLElement[]} [els=selected] - Elements to group
+   * @param {Object} [options] - Wrapper, the groupWrapper editor option by default
+   * @param {string} [options.tag='div'] - Wrapper tag
+   * @param {string} [options.className] - Wrapper class
+   * @returns {HTMLElement|null} - The wrapper, now selected, or null when nothing was grouped
+   */
+  const group = (els = selected, { tag, className } = {}) => {
+    const $els = outermostInOrder(els);
+    if (!$els.length) return null;
+
+    const wrapper = editor.options.groupWrapper || {};
+    const $group = document.createElement(tag || wrapper.tag || "div");
+    if (className || wrapper.className) $group.className = className || wrapper.className;
+
+    const parent = $els[0].parentNode;
+    const sibling = $els[0];
+
+    // Take every position before the tree changes
+    const moves = $els.map(($el) => ({
+      element: $el,
+      oldParent: $el.parentNode,
+      oldNextSibling: $el.nextSibling,
+      newParent: $group,
+      newNextSibling: null,
+    }));
+
+    parent.insertBefore($group, sibling);
+    $els.forEach(($el) => $group.appendChild($el));
+
+    if (historyManager) {
+      historyManager.push([
+        new DOMChange({
+          element: $group,
+          oldParent: null,
+          oldNextSibling: null,
+          newParent: parent,
+          newNextSibling: sibling,
+        }),
+        ...moves.map((move) => new DOMChange(move)),
+      ]);
+    }
+
+    unselect_all({ silent: true });
+
+    // A vetoed group is rolled back, the elements stay where they were
+    if (!$group.isConnected) {
+      $els.filter(($el) => $el.isConnected).forEach(select);
+      return null;
+    }
+
+    select($group);
+
+    return $group;
+  };
+
+  /**
+   * Replace elements with their children
+   *
+   * Elements without element children are left alone, so text isn't unwrapped.
+   *
+   * @param {HTMLElement[]} [els=selected] - Elements to ungroup
+   * @returns {HTMLElement[]} - The former children, now selected
+   */
+  const ungroup = (els = selected) => {
+    const $groups = outermostInOrder(els).filter(($el) => $el.children.length);
+    if (!$groups.length) return [];
+
+    const changes = [];
+    const $children = [];
+
+    $groups.forEach(($group) => {
+      const parent = $group.parentNode;
+
+      [...$group.childNodes].forEach((node) => {
+        changes.push(
+          new DOMChange({
+            element: node,
+            oldParent: $group,
+            oldNextSibling: node.nextSibling,
+            newParent: parent,
+            newNextSibling: $group,
+          })
+        );
+        parent.insertBefore(node, $group);
+
+        if (node.nodeType === Node.ELEMENT_NODE) $children.push(node);
+      });
+
+      changes.push(
+        new DOMChange({
+          element: $group,
+          oldParent: parent,
+          oldNextSibling: $group.nextSibling,
+          newParent: null,
+          newNextSibling: null,
+        })
+      );
+    });
+
+    unselect_all({ silent: true });
+    $groups.forEach(($group) => $group.remove());
+
+    if (historyManager) {
+      historyManager.push(changes);
+    }
+
+    $children.forEach(select);
+
+    return $children;
+  };
+
+  const reorderPlaces = ["previous", "next", "first", "last"];
+
+  // Element siblings that are content, not editor UI
+  const contentSiblings = ($el) =>
+    [...$el.parentElement.children].filter(($sibling) => !isOffBounds($sibling));
+
+  /**
+   * Where an element goes for a reorder, null when it stays
+   * @returns {{ parent: Element, before: Element|null }|null}
+   */
+  const reorderTarget = ($el, to, $moving) => {
+    const siblings = contentSiblings($el);
+    const index = siblings.indexOf($el);
+    const parent = $el.parentElement;
+
+    if (to === "previous") {
+      const $previous = siblings[index - 1];
+      return $previous && !$moving.includes($previous) ? { parent, before: $previous } : null;
+    }
+    if (to === "next") {
+      const $next = siblings[index + 1];
+      return $next && !$moving.includes($next)
+        ? { parent, before: siblings[index + 2] || null }
+        : null;
+    }
+    // Other moving elements are never in the way, so they keep their order
+    const inTheWay = ($sibling) => !$moving.includes($sibling);
+
+    if (to === "first") {
+      const $first = siblings.slice(0, index).find(inTheWay);
+      return $first ? { parent, before: $first } : null;
+    }
+    if (to === "last") {
+      const $last = siblings.slice(index + 1).reverse().find(inTheWay);
+      return $last ? { parent, before: $last.nextElementSibling } : null;
+    }
+
+    // A drop target, nothing to do when the element is already there
+    const { parent: newParent, before = null } = to;
+    const inPlace =
+      newParent === parent && (before === $el || before === (siblings[index + 1] || null));
+
+    return inPlace ? null : { parent: newParent, before };
+  };
+
+  /**
+   * Move elements among their siblings, or to a new place, keeping them selected
+   *
+   * Recorded as one undo step of DOMChanges. Elements never leave the container.
+   *
+   * @param {HTMLElement[]} [els=selected] - Elements to move
+   * @param {string|Object} to - 'previous', 'next', 'first', 'last' or
+   *   { parent, before } to insert into parent before an element (null for the end)
+   * @returns {HTMLElement[]} - The elements that moved
+   */
+  const reorder = (els = selected, to) => {
+    if (typeof to === "string" && !reorderPlaces.includes(to)) {
+      console.warn(`Invalid reorder "${to}", expected one of ${reorderPlaces.join(", ")}`);
+      return [];
+    }
+
+    if (typeof to === "object" && to !== null) {
+      const { parent } = to;
+      const insideContainer = parent === container || container.contains(parent);
+
+      // Never out of the container, or into one of the moving elements
+      if (!insideContainer || els.some(($el) => $el === parent || $el.contains(parent))) return [];
+    }
+
+    const $moving = outermostInOrder(els);
+
+    // Handle the elements nearest to where they go first, so they keep their order
+    const ordered = to === "next" || to === "last" ? [...$moving].reverse() : $moving;
+
+    const $selected = [...selected];
+    const changes = [];
+    const $moved = [];
+
+    // One at a time, each place depends on the moves before it
+    ordered.forEach(($el) => {
+      const place = reorderTarget($el, to, $moving);
+      if (!place) return;
+
+      // Moving a node looks like removing it to the selection's observers
+      if (!changes.length) unselect_all({ silent: true });
+
+      changes.push(
+        new DOMChange({
+          element: $el,
+          oldParent: $el.parentNode,
+          oldNextSibling: $el.nextSibling,
+          newParent: place.parent,
+          newNextSibling: place.before,
+        })
+      );
+      place.parent.insertBefore($el, place.before);
+      $moved.push($el);
+    });
+
+    if (!changes.length) return [];
+
+    if (historyManager) {
+      historyManager.push(changes);
     }
+
+    $selected.reverse().forEach(select);
+    if (!$selected.length) tellWatchers();
+
+    return $moved;
+  };
+
+  /**
+   * Elements in the container matching a selector, without editor UI and ignored elements
+   * @param {string} selector - CSS selector
+   * @returns {HTMLElement[]}
+   */
+  const queryContainer = (selector) => {
+    if (!isSelectorValid(selector)) {
+      console.warn(`Invalid selector "${selector}"`);
+      return [];
+    }
+
+    return [...container.querySelectorAll(selector)].filter(
+      ($el) => !isOffBounds($el) && !isIgnored($el)
+    );
+  };
+
+  /**
+   * Add elements with the same tag and classes as the selected ones
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - Search the whole container instead of the siblings
+   * @returns {HTMLElement[]} - The new selection
+   */
+  const expandSelection = ({ all = false } = {}) => {
+    const matches = [...selected].flatMap(($el) => {
+      const query = combineNodeNameAndClass($el);
+
+      // Classes like "2xl" don't make a valid selector
+      if (!isSelectorValid(query)) {
+        console.warn(`Invalid selector "${query}"`);
+        return [];
+      }
+
+      const candidates = all ? queryContainer(query) : [...($el.parentElement?.children || [])];
+
+      return candidates.filter(
+        ($match) => $match.matches(query) && !isOffBounds($match) && !isIgnored($match)
+      );
+    });
+
+    matches.forEach(select);
+    return [...selected];
+  };
+
+  /**
+   * Replace the selection with the elements in the container matching a selector
+   * @param {string} selector - CSS selector
+   * @returns {HTMLElement[]} - The new selection
+   */
+  const selectBySelector = (selector) => {
+    const matches = queryContainer(selector);
+
+    unselect_all({ silent: true });
+    matches.forEach(select);
+    if (!matches.length) tellWatchers();
+
+    return [...selected];
+  };
+
+  // Elements traversal may select: inside the container, never the container itself
+  const isTraversable = ($el) =>
+    !!$el && $el !== container && container.contains($el) && !isOffBounds($el) && !isIgnored($el);
+
+  // Replace the selection with targets, keeping it when there are none
+  const replaceSelection = ($targets) => {
+    const unique = [...new Set($targets)];
+    if (!unique.length) return [...selected];
+
+    unselect_all({ silent: true });
+    unique.forEach(select);
+
+    return [...selected];
+  };
+
+  /**
+   * Move every selected element to its sibling, first child or parent
+   *
+   * Elements that have nowhere to go inside the container stay selected.
+   *
+   * @param {string} to - 'next', 'previous', 'child' or 'parent'
+   * @returns {HTMLElement[]} - The new selection
+   */
+  const traverse = (to) => {
+    if (!selected.length) return [];
+
+    const $targets = selected.map(($current) => {
+      let $next;
+
+      if (to === "next") {
+        $next = $current.nextElementSibling;
+      } else if (to === "previous") {
+        $next = $current.previousElementSibling;
+      } else if (to === "child") {
+        $next = $current.firstElementChild;
+      } else if (to === "parent") {
+        $next = $current.parentElement;
+      }
+
+      return isTraversable($next) ? $next : $current;
+    });
+
+    return replaceSelection($targets);
   };
 
+  /**
+   * Replace the selection with the children of the selected elements
+   * @param {HTMLElement[]} [els] - Elements whose children to select, the selection by default
+   * @returns {HTMLElement[]} - The new selection
+   */
+  const selectChildren = (els = selected) =>
+    replaceSelection(els.flatMap(($el) => [...$el.children].filter(isTraversable)));
+
+  /**
+   * Replace the selection with the parents of the selected elements,
+   * each shared parent once, stopping at the container
+   * @param {HTMLElement[]} [els] - Elements whose parents to select, the selection by default
+   * @returns {HTMLElement[]} - The new selection
+   */
+  const selectParents = (els = selected) =>
+    replaceSelection(els.map(($el) => $el.parentElement).filter(isTraversable));
+
   // ========================================================================
-  // Copy/Paste handlers (simplified)
+  // Copy/Paste handlers
   // ========================================================================
 
-  let copied_element = null;
+  const pastePositions = ["before", "after", "first", "last"];
+
+  // Elements that can't hold pasted children
+  const voidTags = ["area", "br", "col", "embed", "hr", "img", "input", "source", "track", "wbr"];
+
+  let copied_html = null; // Markup of the elements copied in this editor
+  let copied_text = null; // Their text, to tell whether the clipboard still holds them
+
+  /**
+   * Markup of elements without the editor's selection attributes
+   */
+  const cleanOuterHTML = ($els) =>
+    $els
+      .map(($el) => {
+        const $clone = $el.cloneNode(true);
+        [$clone, ...$clone.querySelectorAll("*")].forEach((node) =>
+          editorAttributes.forEach((name) => node.removeAttribute(name))
+        );
+        return $clone.outerHTML;
+      })
+      .join("");
+
+  const htmlStringToFragment = (html) => {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content;
+  };
+
+  const isContainerEmpty = () =>
+    !contentChildNodes(container).some(
+      (node) => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim()
+    );
+
+  /**
+   * Whether a clipboard event belongs to the page rather than the editor:
+   * it happened in a text field, or in an element outside the container
+   */
+  const isForeignClipboardEvent = (e) => {
+    const $target = e.target instanceof Element ? e.target : e.target?.parentElement;
+    if (!$target || $target === document.body || $target === document.documentElement) return false;
+
+    const isEditable =
+      $target.isContentEditable || Boolean($target.closest("input, textarea, select"));
+
+    return isEditable || !container.contains($target);
+  };
 
   const on_copy = (e) => {
-    if (!selected.length) return;
+    if (!selected.length || !ownsHotkeys(editor) || isForeignClipboardEvent(e)) return;
 
     e.preventDefault();
-    copied_element = selected[0].cloneNode(true);
 
-    // Also copy to clipboard as HTML
-    e.clipboardData.setData("text/html", selected[0].outerHTML);
-    e.clipboardData.setData("text/plain", selected[0].textContent);
+    // Copy in document order, the way the elements will be pasted
+    const $els = [...selected].sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+
+    copied_html = cleanOuterHTML($els);
+    copied_text = $els.map(($el) => $el.textContent).join("\n");
+
+    // Also copy to clipboard, so other editors and tabs can paste them
+    e.clipboardData.setData("text/html", copied_html);
+    e.clipboardData.setData("text/plain", copied_text);
   };
 
   const on_cut = (e) => {
-    if (!selected.length) return;
+    if (!selected.length || !ownsHotkeys(editor) || isForeignClipboardEvent(e)) return;
 
     on_copy(e);
-    on_delete(e);
+    remove();
   };
 
   const on_paste = (e) => {
-    if (!selected.length || !copied_element) return;
+    if (!ownsHotkeys(editor) || isForeignClipboardEvent(e)) return;
+    if (!selected.length && !isContainerEmpty()) return;
+
+    // Prefer the local copy while the clipboard still holds it, it skips the
+    // markup browsers wrap around clipboard HTML
+    const clipboard_html = e.clipboardData ? e.clipboardData.getData("text/html") : "";
+    const clipboard_text = e.clipboardData ? e.clipboardData.getData("text/plain") : "";
+    const html =
+      copied_html && (!clipboard_html || clipboard_text === copied_text)
+        ? copied_html
+        : clipboard_html;
+
+    if (!html) return;
 
     e.preventDefault();
+    paste({ html });
+  };
+
+  /**
+   * Paste elements relative to a target element
+   *
+   * @param {Object} [options]
+   * @param {string} [options.html] - Markup to paste, the last copied elements by default
+   * @param {string} [options.position] - 'before', 'after', 'first' or 'last' (inside the target),
+   *   the pastePosition editor option by default
+   * @param {HTMLElement} [options.target] - Element to paste at, the selection by default.
+   *   Without one, paste only works into an empty container
+   * @returns {HTMLElement[]} - The pasted elements, now selected
+   */
+  const paste = ({
+    html = copied_html,
+    position = editor.options.pastePosition || "after",
+    target = selected[0],
+  } = {}) => {
+    if (!html) return [];
+
+    if (!pastePositions.includes(position)) {
+      console.warn(`Invalid paste position "${position}", expected one of ${pastePositions.join(", ")}`);
+      return [];
+    }
+
+    if (!target) {
+      if (!isContainerEmpty()) return [];
+      target = container;
+    }
 
-    const $target = selected[0];
-    const $clone = copied_element.cloneNode(true);
+    // Never paste next to the container, or inside an element that can't have children
+    if (target === container && (position === "before" || position === "after")) position = "last";
+    if (voidTags.includes(target.localName) && (position === "first" || position === "last")) position = "after";
 
-    $target.parentNode.insertBefore($clone, $target.nextSibling);
+    const parent = position === "first" || position === "last" ? target : target.parentNode;
+    const sibling = {
+      before: target,
+      after: target.nextSibling,
+      first: contentChildNodes(target)[0] || null,
+      last: null,
+    }[position];
+
+    // Elements copied in this editor are the user's own content, only
+    // HTML from outside goes through the paste allowlist
+    const source = html === copied_html ? "content" : "paste";
+    const fragment = editor.sanitizer
+      ? editor.sanitizer.fragment(html, { source })
+      : htmlStringToFragment(html);
+    const $pasted = [...fragment.children];
+
+    // Nothing left after sanitizing, e.g. in plain text mode
+    if (!$pasted.length) return [];
+
+    $pasted.forEach(($el) => parent.insertBefore($el, sibling));
 
     if (historyManager) {
       historyManager.push(
-        new DOMChange({
-          element: $clone,
-          oldParent: null,
-          oldNextSibling: null,
-          newParent: $target.parentNode,
-          newNextSibling: $target.nextSibling,
-        })
+        $pasted.map(
+          ($el) =>
+            new DOMChange({
+              element: $el,
+              oldParent: null,
+              oldNextSibling: null,
+              newParent: parent,
+              newNextSibling: sibling,
+            })
+        )
       );
     }
+
+    // A vetoed paste is rolled back, only select what is still in the page
+    const $attached = $pasted.filter(($el) => $el.isConnected);
+    if (!$attached.length) return [];
+
+    unselect_all({ silent: true });
+    $attached.forEach(select);
+
+    return $attached;
   };
 
   // ========================================================================
@@ -639,6 +1498,24 @@ export function Selectable(editor) {
     unselect_all,
     select,
     unselect,
+    refresh,
+    selectionPaths,
+    rebindHotkeys: keyboard.rebind,
+    clearSelection,
+    duplicate,
+    remove,
+    clearStyles,
+    copyStyles,
+    pasteStyles,
+    group,
+    ungroup,
+    reorder,
+    expandSelection,
+    selectBySelector,
+    traverse,
+    selectChildren,
+    selectParents,
+    paste,
     onSelectedUpdate,
     selection: () => selected,
     labels: () => labels,
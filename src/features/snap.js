@@ -0,0 +1,128 @@
+/**
+ * Snapping
+ *
+ * Adjusts a drag so the dragged element's edges or center line up with the
+ * container, its sibling elements or a grid. Works on the pointer delta in
+ * viewport pixels, so it applies the same to `left`/`top` and SVG transforms.
+ */
+
+import { isOffBounds } from "../utilities/index.js";
+
+/**
+ * Default snap options
+ */
+export const defaultSnapOptions = {
+  grid: 0, // Grid size in px, 0 turns the grid off
+  threshold: 5, // How close in px an edge has to get to snap
+  container: true, // Snap to the container's edges and center
+  siblings: true, // Snap to the edges and centers of sibling elements
+};
+
+const xLines = (rect) => [rect.left, rect.left + rect.width / 2, rect.right];
+const yLines = (rect) => [rect.top, rect.top + rect.height / 2, rect.bottom];
+
+const moveRect = (rect, dx, dy) => ({
+  left: rect.left + dx,
+  top: rect.top + dy,
+  right: rect.right + dx,
+  bottom: rect.bottom + dy,
+  width: rect.width,
+  height: rect.height,
+});
+
+/**
+ * Find the target line closest to one of the moving lines
+ * @returns {{ offset: number, line: number }|null} - Distance to move and the line snapped to
+ */
+const nearestLine = (moving, targets, threshold) =>
+  moving.reduce((best, from) => {
+    targets.forEach((line) => {
+      const offset = line - from;
+      if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+        best = { offset, line };
+      }
+    });
+    return best;
+  }, null);
+
+/**
+ * Snap to the nearest grid line, relative to the container's origin
+ */
+const snapToGrid = (delta, origin, grid) =>
+  grid > 0 ? Math.round((origin + delta) / grid) * grid - origin : delta;
+
+/**
+ * Create a snapper for one drag of an element
+ *
+ * Measures the element, its siblings and the container once, when the drag starts.
+ *
+ * @param {Element} el - Element being dragged
+ * @param {Object} options - Overrides for defaultSnapOptions
+ * @param {HTMLElement} options.containerElement - Editor container, the grid starts at its corner
+ * @returns {Object} - Snapper API
+ */
+export function Snapper(el, { containerElement, ...options } = {}) {
+  const { grid, threshold, container: toContainer, siblings } = {
+    ...defaultSnapOptions,
+    ...options,
+  };
+
+  const start = el.getBoundingClientRect();
+  const containerRect = containerElement.getBoundingClientRect();
+
+  const targets = [
+    ...(toContainer ? [containerRect] : []),
+    ...(siblings && el.parentElement
+      ? [...el.parentElement.children]
+          .filter((sibling) => sibling !== el && !isOffBounds(sibling))
+          .map((sibling) => sibling.getBoundingClientRect())
+          .filter(({ width, height }) => width || height)
+      : []),
+  ];
+
+  const targetXs = targets.flatMap(xLines);
+  const targetYs = targets.flatMap(yLines);
+
+  // Span a guide over the moved element and every target that has the line
+  const guide = (line, rect, linesOf, from, to) => {
+    const aligned = [rect, ...targets.filter((target) => linesOf(target).some((l) => Math.abs(l - line) < 0.5))];
+
+    return [Math.min(...aligned.map((r) => r[from])), Math.max(...aligned.map((r) => r[to]))];
+  };
+
+  /**
+   * Snap a pointer delta
+   * @param {number} dx - Horizontal distance dragged
+   * @param {number} dy - Vertical distance dragged
+   * @returns {{ dx: number, dy: number, lines: Object[] }} - Snapped delta and
+   *   the guide lines to draw, in viewport coordinates
+   */
+  const snap = (dx, dy) => {
+    const moved = moveRect(start, dx, dy);
+    const x = nearestLine(xLines(moved), targetXs, threshold);
+    const y = nearestLine(yLines(moved), targetYs, threshold);
+
+    const snapped = {
+      dx: x ? dx + x.offset : snapToGrid(dx, start.left - containerRect.left, grid),
+      dy: y ? dy + y.offset : snapToGrid(dy, start.top - containerRect.top, grid),
+    };
+
+    const rect = moveRect(start, snapped.dx, snapped.dy);
+    const lines = [];
+
+    if (x) {
+      const [y1, y2] = guide(x.line, rect, xLines, "top", "bottom");
+      lines.push({ x1: x.line, y1, x2: x.line, y2 });
+    }
+    if (y) {
+      const [x1, x2] = guide(y.line, rect, yLines, "left", "right");
+      lines.push({ x1, y1: y.line, x2, y2: y.line });
+    }
+
+    return { ...snapped, lines };
+  };
+
+  return {
+    snap,
+  };
+}
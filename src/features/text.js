@@ -1,36 +1,164 @@
 import $ from "blingblingjs";
-import hotkeys from "hotkeys-js";
-import { showHideNodeLabel } from "../utilities/index.js";
-import { TextChange } from "./history.js";
+import { showHideNodeLabel, isFixed, metaKey, editorAttributes } from "../utilities/index.js";
+import { HTMLChange, DOMChange } from "./history.js";
+import { textToHTML } from "./sanitize.js";
 
 const state = {
   historyManager: null,
-  originalText: new WeakMap(), // Store original text for each element
+  emit: () => {},
+  select: null,
+  sanitize: null,
+  uiContainer: null,
+  originalHTML: new WeakMap(), // Markup of each element as last recorded in history
+  startHTML: new WeakMap(), // Markup of each element when its edit started
+  editGroups: new WeakMap(), // Each element's typing group for the current edit
+  formatBars: new Map(), // Edited element -> its visbug-formatbar
 };
 
-const removeEditability = ({ target }) => {
-  // Record text change if text was modified
-  if (state.historyManager && state.originalText.has(target)) {
-    const oldText = state.originalText.get(target);
-    const newText = target.textContent;
-
-    if (oldText !== newText) {
-      state.historyManager.push(
-        new TextChange({
-          element: target,
-          oldText: oldText,
-          newText: newText,
-        })
-      );
-    }
+// Formatting actions that map straight to an execCommand
+const inlineCommands = {
+  bold: "bold",
+  italic: "italic",
+  underline: "underline",
+  strikethrough: "strikeThrough",
+};
+
+const formatKeys = { b: "bold", i: "italic", u: "underline" };
+
+const textBlockTags = ["p", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+// Input that counts as typing and coalesces into per-word undo steps,
+// anything else (paste, drop, cut, formatting) is an undo step of its own
+const typingInput =
+  /^(insertText|insertReplacementText|insertCompositionText|insertParagraph|insertLineBreak|deleteContent|deleteWord|deleteSoftLine|deleteHardLine)/;
+
+const wordBoundary = /[\s.,;:!?]/;
+
+/**
+ * Push the markup changed since the last recorded edit as one HTMLChange
+ * @param {HTMLElement} target - Element being edited
+ * @param {Object} [options] - group and sealed, see HTMLChange
+ */
+const recordEdit = (target, { group = null, sealed = false } = {}) => {
+  if (!state.historyManager || !state.originalHTML.has(target)) return false;
+
+  const oldHTML = state.originalHTML.get(target);
+  const newHTML = target.innerHTML;
+
+  if (oldHTML === newHTML) return false;
+
+  state.historyManager.push(
+    new HTMLChange({
+      element: target,
+      oldHTML: oldHTML,
+      newHTML: newHTML,
+      group,
+      sealed,
+    })
+  );
+  // A vetoed edit is rolled back, so read the HTML the element really has
+  state.originalHTML.set(target, target.innerHTML);
+
+  return true;
+};
+
+/**
+ * Checkpoint typing into history as it happens, so undo works per word
+ */
+const onInput = (e) => {
+  const target = e.currentTarget;
+
+  if (!typingInput.test(e.inputType || "insertText")) {
+    recordEdit(target);
+    return;
+  }
+
+  const sealed =
+    e.inputType === "insertParagraph" ||
+    e.inputType === "insertLineBreak" ||
+    wordBoundary.test(e.data || "");
+
+  recordEdit(target, { group: state.editGroups.get(target), sealed });
+};
+
+/**
+ * Route undo/redo during an edit to the HistoryManager instead of the
+ * browser's own contenteditable history
+ */
+const runHistory = (target, action) => {
+  recordEdit(target);
+
+  if (state.historyManager) state.historyManager[action]();
 
-    state.originalText.delete(target);
+  // History may have changed the markup, record later typing from here
+  if (state.originalHTML.has(target)) state.originalHTML.set(target, target.innerHTML);
+};
+
+/**
+ * Paste sanitized HTML at the caret, recorded as one undo step
+ */
+const onPaste = (e) => {
+  // Keep the element paste in selectable.js out of it
+  e.stopPropagation();
+
+  if (!state.sanitize || !e.clipboardData) return;
+
+  const target = e.currentTarget;
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !target.contains(selection.getRangeAt(0).commonAncestorContainer)) return;
+
+  e.preventDefault();
+
+  const html =
+    e.clipboardData.getData("text/html") ||
+    textToHTML(e.clipboardData.getData("text/plain"));
+
+  const template = document.createElement("template");
+  template.innerHTML = state.sanitize(html, { source: "text" });
+  const last = template.content.lastChild;
+
+  recordEdit(target);
+
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  range.insertNode(template.content);
+
+  // Put the caret after the pasted content
+  if (last) {
+    range.setStartAfter(last);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
   }
 
+  recordEdit(target);
+};
+
+const onBeforeInput = (e) => {
+  if (e.inputType === "historyUndo" || e.inputType === "historyRedo") {
+    e.preventDefault();
+    runHistory(e.currentTarget, e.inputType === "historyUndo" ? "undo" : "redo");
+  }
+};
+
+const removeEditability = ({ target }) => {
+  // Record the edit with its markup so links and formatting survive undo
+  recordEdit(target);
+  const changed = state.startHTML.has(target) && state.startHTML.get(target) !== target.innerHTML;
+  state.originalHTML.delete(target);
+  state.startHTML.delete(target);
+  state.editGroups.delete(target);
+
   target.removeAttribute("contenteditable");
   target.removeAttribute("spellcheck");
   target.removeEventListener("blur", removeEditability);
   target.removeEventListener("keydown", stopBubbling);
+  target.removeEventListener("input", onInput);
+  target.removeEventListener("beforeinput", onBeforeInput);
+  target.removeEventListener("paste", onPaste);
+  hideFormatBar(target);
+
+  state.emit("textedit:end", { element: target, changed });
 };
 
 const stopBubbling = (e) => {
@@ -40,6 +168,23 @@ const stopBubbling = (e) => {
     // Don't stop propagation - let it reach selectable.js to unselect elements
     return;
   }
+
+  const modified = metaKey === "cmd" ? e.metaKey : e.ctrlKey;
+  const key = e.key.toLowerCase();
+  const action = formatKeys[key];
+
+  // Format the selected range instead of the whole element, and record it
+  if (modified && !e.altKey && !e.shiftKey && action) {
+    e.preventDefault();
+    formatText(e.currentTarget, action);
+  }
+
+  // Undo/redo the same history the editor uses outside of text editing
+  if (modified && !e.altKey && (key === "z" || key === "y")) {
+    e.preventDefault();
+    runHistory(e.currentTarget, key === "z" && !e.shiftKey ? "undo" : "redo");
+  }
+
   // Stop propagation for all other keys to prevent hotkey conflicts
   e.stopPropagation();
 };
@@ -49,18 +194,173 @@ const cleanup = (e, handler) => {
   window.getSelection().empty();
 };
 
-export function EditText(elements, historyManager) {
+const showFormatBar = (target) => {
+  if (state.formatBars.has(target)) return;
+
+  const bar = document.createElement("visbug-formatbar");
+  bar.position = {
+    boundingRect: target.getBoundingClientRect(),
+    isFixed: isFixed(target),
+    uiContainer: state.uiContainer,
+    tag: target.localName,
+  };
+  bar.addEventListener("format", ({ detail }) =>
+    formatText(target, detail.action, detail.value)
+  );
+
+  (state.uiContainer || document.body).appendChild(bar);
+  state.formatBars.set(target, bar);
+};
+
+const hideFormatBar = (target) => {
+  const bar = state.formatBars.get(target);
+  if (!bar) return;
+
+  bar.remove();
+  state.formatBars.delete(target);
+};
+
+const closestLink = (node, target) => {
+  const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  const link = element?.closest("a");
+  return link && target.contains(link) ? link : null;
+};
+
+/**
+ * Unlink the link around the caret, or link the selected text to a prompted URL
+ */
+const toggleLink = (target) => {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return;
+
+  const link = closestLink(selection.anchorNode, target);
+
+  if (link) {
+    const range = document.createRange();
+    range.selectNodeContents(link);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand("unlink");
+    return;
+  }
+
+  if (selection.isCollapsed) return;
+
+  // The prompt can drop the selection, put it back before linking
+  const range = selection.getRangeAt(0).cloneRange();
+  const url = window.prompt("Link URL", "https://");
+  if (!url) return;
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+  document.execCommand("createLink", false, url);
+};
+
+/**
+ * Swap the edited element for a new tag, e.g. turn a paragraph into a heading
+ */
+const changeBlock = (target, tag) => {
+  if (!textBlockTags.includes(tag)) {
+    console.warn(`Invalid block tag "${tag}", expected one of ${textBlockTags.join(", ")}`);
+    return null;
+  }
+
+  if (target.localName === tag || !textBlockTags.includes(target.localName)) return target;
+
+  const parent = target.parentNode;
+  const nextSibling = target.nextSibling;
+
+  removeEditability({ target });
+
+  const block = document.createElement(tag);
+  [...target.attributes]
+    .filter(({ name }) => !editorAttributes.includes(name))
+    .forEach(({ name, value }) => block.setAttribute(name, value));
+  block.innerHTML = target.innerHTML;
+
+  target.replaceWith(block);
+
+  if (state.historyManager) {
+    state.historyManager.push([
+      new DOMChange({
+        element: target,
+        oldParent: parent,
+        oldNextSibling: nextSibling,
+        newParent: null,
+        newNextSibling: null,
+      }),
+      new DOMChange({
+        element: block,
+        oldParent: null,
+        oldNextSibling: null,
+        newParent: parent,
+        newNextSibling: nextSibling,
+      }),
+    ]);
+  }
+
+  // Keep editing the new element
+  state.select
+    ? state.select([block])
+    : EditText([block], {
+        historyManager: state.historyManager,
+        emit: state.emit,
+        sanitize: state.sanitize,
+      });
+
+  return block;
+};
+
+/**
+ * Format the text selected in an element being edited
+ *
+ * Typing is checkpointed as it happens, the format is recorded as an
+ * HTMLChange of its own so it undoes separately.
+ *
+ * @param {HTMLElement} target - Element in contenteditable mode
+ * @param {string} action - 'bold', 'italic', 'underline', 'strikethrough', 'link', 'clear' or 'block'
+ * @param {string} [value] - Tag for 'block', e.g. 'h2'
+ * @returns {HTMLElement|null} - The edited element, a new one after 'block'
+ */
+export function formatText(target, action, value) {
+  if (action === "block") return changeBlock(target, value);
+
+  recordEdit(target);
+
+  if (inlineCommands[action]) {
+    document.execCommand(inlineCommands[action]);
+  } else if (action === "link") {
+    toggleLink(target);
+  } else if (action === "clear") {
+    document.execCommand("removeFormat");
+    document.execCommand("unlink");
+  } else {
+    console.warn(`Unknown format action "${action}"`);
+    return null;
+  }
+
+  recordEdit(target);
+  return target;
+}
+
+export function EditText(elements, { historyManager, emit, select, sanitize, uiContainer } = {}) {
   if (!elements.length) return;
 
   state.historyManager = historyManager;
+  state.emit = emit || (() => {});
+  state.select = select || null;
+  state.sanitize = sanitize || null;
+  state.uiContainer = uiContainer || null;
 
   elements.map((el) => {
     let $el = $(el);
 
-    // Store original text before making it editable
+    // Store original markup before making it editable
     if (historyManager) {
-      state.originalText.set(el, el.textContent);
+      state.originalHTML.set(el, el.innerHTML);
+      state.editGroups.set(el, {});
     }
+    state.startHTML.set(el, el.innerHTML);
 
     $el.attr({
       contenteditable: true,
@@ -70,6 +370,30 @@ export function EditText(elements, historyManager) {
     showHideNodeLabel(el, true);
 
     $el.on("keydown", stopBubbling);
+    $el.on("beforeinput", onBeforeInput);
+    $el.on("input", onInput);
+    $el.on("paste", onPaste);
     $el.on("blur", removeEditability);
+
+    state.emit("textedit:start", { element: el });
   });
+
+  // Only the element that ended up with focus gets the toolbar
+  const focused = elements.find((el) => el === document.activeElement);
+  if (focused) showFormatBar(focused);
+}
+
+/**
+ * Text tool - makes selected elements editable in place
+ * @param {Object} context - Tool context provided by the editor
+ * @returns {Object} - Tool API
+ */
+export function TextTool({ historyManager, emit, select, sanitize, uiContainer }) {
+  return {
+    onNodesSelected: (elements) =>
+      EditText(elements, { historyManager, emit, select, sanitize, uiContainer }),
+    disconnect: () => {
+      state.formatBars.forEach((bar, target) => removeEditability({ target }));
+    },
+  };
 }
@@ -12,7 +12,24 @@
 import "./components/index.js";
 
 export { VisBugEditor } from "./VisBugEditor.js";
-export { HistoryManager } from "./features/history.js";
+export {
+  HistoryManager,
+  Change,
+  StyleChange,
+  AttributeChange,
+  DOMChange,
+  TextChange,
+  HTMLChange,
+  BatchChange,
+} from "./features/history.js";
+export { defaultKeymap } from "./features/keymap.js";
+export {
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+} from "./features/autosave.js";
+export { Sanitizer, defaultSanitizeOptions } from "./features/sanitize.js";
+export { defaultSnapOptions } from "./features/snap.js";
 
 // Re-export utilities for advanced usage
 export * as utilities from "./utilities/index.js";
@@ -90,7 +90,12 @@ export const isOffBounds = (node) =>
     node.closest("visbug-gridlines") ||
     node.closest("visbug-hover") ||
     node.closest("visbug-overlay") ||
-    node.closest("visbug-offscreen-label"));
+    node.closest("visbug-offscreen-label") ||
+    node.closest("visbug-formatbar") ||
+    node.closest("visbug-marquee") ||
+    node.closest("visbug-guides") ||
+    node.closest("visbug-distance") ||
+    node.closest("visbug-insertion"));
 
 export const isSelectorValid = ((qs) => (selector) => {
   try {
@@ -111,6 +116,18 @@ export const swapElements = (src, target) => {
   temp.parentNode.removeChild(temp);
 };
 
+export const matchesIgnoreList = (element, selectors = []) =>
+  !!element?.matches &&
+  selectors.some((selector) => {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      // Invalid selector, skip it
+      console.warn(`Invalid CSS selector in ignore list: ${selector}`);
+      return false;
+    }
+  });
+
 export const onRemove = (element, callback) => {
   const parent = element.parentNode ? element.parentNode : document.body;
 
@@ -130,4 +147,6 @@ export const onRemove = (element, callback) => {
   obs.observe(parent, {
     childList: true,
   });
+
+  return obs;
 };
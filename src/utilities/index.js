@@ -7,4 +7,6 @@ export * from './cross-browser'
 export * from './isFixed'
 export * from './scheme'
 export * from './colors'
-export * from './numbers'
\ No newline at end of file
+export * from './numbers'
+export * from './paths'
+export * from './morph'
\ No newline at end of file
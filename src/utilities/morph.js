@@ -0,0 +1,66 @@
+import { contentChildNodes } from './paths'
+
+// attributes the editor puts on content while it works, never part of an edit
+export const editorAttributes = [
+  'data-selected',
+  'data-selected-hide',
+  'data-label-id',
+  'data-pseudo-select',
+  'contenteditable',
+  'spellcheck',
+]
+
+const isSameKind = (a, b) =>
+  a.nodeType === b.nodeType &&
+  (a.nodeType !== Node.ELEMENT_NODE ||
+    (a.namespaceURI === b.namespaceURI && a.localName === b.localName))
+
+const morphAttributes = (target, source) => {
+  ;[...target.attributes]
+    .filter(({ name }) => !editorAttributes.includes(name) && !source.hasAttribute(name))
+    .forEach(({ name }) => target.removeAttribute(name))
+
+  ;[...source.attributes]
+    .filter(({ name, value }) => target.getAttribute(name) !== value)
+    .forEach(({ name, value }) => target.setAttribute(name, value))
+}
+
+const morphNode = (target, source) => {
+  if (target.nodeType === Node.ELEMENT_NODE) {
+    morphAttributes(target, source)
+    morphChildNodes(target, source)
+  }
+  else if (target.nodeValue !== source.nodeValue) {
+    target.nodeValue = source.nodeValue
+  }
+}
+
+// patch target's children to match source's, keeping nodes that line up
+// with a node of the same kind so references to them stay valid
+const morphChildNodes = (target, source) => {
+  const current = contentChildNodes(target)
+  const next = [...source.childNodes]
+
+  next.forEach((sourceNode, i) => {
+    const targetNode = current[i]
+
+    if (targetNode && isSameKind(targetNode, sourceNode)) {
+      morphNode(targetNode, sourceNode)
+    }
+    else if (targetNode) {
+      target.replaceChild(document.importNode(sourceNode, true), targetNode)
+    }
+    else {
+      target.appendChild(document.importNode(sourceNode, true))
+    }
+  })
+
+  current.slice(next.length).forEach(node => node.remove())
+}
+
+// set an element's inner HTML by patching its existing nodes
+export const morphInnerHTML = (element, html) => {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  morphChildNodes(element, template.content)
+}
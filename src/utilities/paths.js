@@ -0,0 +1,28 @@
+import { editorUISelector } from './strings'
+
+const isEditorUI = node =>
+  node.nodeType === Node.ELEMENT_NODE && node.matches(editorUISelector)
+
+// child nodes as they appear in getContent(), without editor UI
+export const contentChildNodes = parent =>
+  [...parent.childNodes].filter(node => !isEditorUI(node))
+
+// returns child indexes leading from root to node, or null if node is outside root
+export const nodePath = (node, root) => {
+  const path = []
+
+  while (node && node !== root) {
+    const parent = node.parentNode
+    if (!parent) return null
+
+    path.unshift(contentChildNodes(parent).indexOf(node))
+    node = parent
+  }
+
+  return node === root ? path : null
+}
+
+export const resolveNodePath = (path, root) =>
+  path.reduce((node, index) =>
+    node ? contentChildNodes(node)[index] : null
+  , root) || null
@@ -45,3 +45,5 @@ export const altKey = window.navigator.platform.includes('Mac')
   : 'alt'
 
 export const notList = ':not(vis-bug):not(script):not(hotkey-map):not(.visbug-metatip):not(visbug-label):not(visbug-handles):not(visbug-corners):not(visbug-grip):not(visbug-gridlines)'
+
+export const editorUISelector = 'visbug-handles, visbug-label, visbug-hover, visbug-overlay, visbug-formatbar, visbug-marquee, visbug-guides, visbug-distance, visbug-insertion, [data-visbug-ignore]'
@@ -32,7 +32,7 @@ export interface VisBugEditorOptions {
    * Initial tool to activate
    * @default 'position'
    */
-  initialTool?: 'position' | 'text' | 'font';
+  initialTool?: 'position' | 'text' | 'font' | (string & {});
 
   /**
    * Callback when tool changes
@@ -65,8 +65,504 @@ export interface VisBugEditorOptions {
    * @default true
    */
   clearHistoryOnSetContent?: boolean;
+
+  /**
+   * Intercept every edit before it is recorded in history
+   * @see BeforeChangeHook
+   */
+  beforeChange?: BeforeChangeHook;
+
+  /**
+   * Save a draft of the content and history after edits.
+   * `true` uses localStorage with the default key.
+   */
+  autosave?: boolean | AutosaveOptions;
+
+  /**
+   * Key combos by command name (hotkeys-js syntax), merged over the
+   * defaults. Set a command to null to disable it.
+   */
+  keymap?: Keymap;
+
+  /**
+   * Clean pasted HTML and setContent() HTML. `true` uses
+   * defaultSanitizeOptions, `false` turns sanitizing off. setContent() HTML
+   * skips the allowlist and only loses scripts, event handlers and script URLs.
+   * @default true
+   */
+  sanitize?: boolean | SanitizeOptions;
+
+  /**
+   * Where pasted elements go relative to the selected element
+   * @default "after"
+   */
+  pastePosition?: PastePosition;
+
+  /**
+   * Element the group command wraps the selection in
+   * @default { tag: "div" }
+   */
+  groupWrapper?: { tag?: string; className?: string };
+
+  /**
+   * Whether dragging a marquee selects the elements it touches or only
+   * the ones fully inside it
+   * @default "intersect"
+   */
+  marqueeMode?: "intersect" | "contain";
+
+  /**
+   * How HTML elements move when dragged, nudged, aligned or distributed.
+   * SVG elements always move through their transform attribute.
+   * @default "offset"
+   */
+  positioning?: Positioning;
+
+  /**
+   * What dragging a selected element does: offset it ("move"), or move it to
+   * a new place among its siblings or into another container ("reorder")
+   * @default "move"
+   */
+  dragMode?: "move" | "reorder";
+
+  /**
+   * Snap dragged elements to the container, their siblings and a grid.
+   * `true` uses defaultSnapOptions, `false` turns snapping off.
+   * @default true
+   */
+  snap?: boolean | SnapOptions;
+}
+
+/**
+ * - `offset`: `position: relative` with `left`/`top`
+ * - `transform`: the `translate` property, the layout stays as it is
+ * - `margin`: `margin-left`/`margin-top`, the element stays in flow
+ */
+export type Positioning = "offset" | "transform" | "margin";
+
+export interface SnapOptions {
+  /**
+   * Grid size in px, measured from the container's top left corner. 0 turns the grid off
+   * @default 0
+   */
+  grid?: number;
+  /**
+   * How close in px an edge or center has to get to snap
+   * @default 5
+   */
+  threshold?: number;
+  /**
+   * Snap to the container's edges and center
+   * @default true
+   */
+  container?: boolean;
+  /**
+   * Snap to the edges and centers of sibling elements
+   * @default true
+   */
+  siblings?: boolean;
 }
 
+export const defaultSnapOptions: Required<SnapOptions>;
+
+/**
+ * Before or after an element, or inside it as its first or last child
+ */
+export type PastePosition = "before" | "after" | "first" | "last";
+
+/**
+ * Names of the built-in keyboard commands
+ */
+export type KeymapCommand =
+  | "clearSelection"
+  | "duplicate"
+  | "delete"
+  | "clearStyles"
+  | "copyStyles"
+  | "pasteStyles"
+  | "group"
+  | "ungroup"
+  | "expandSelection"
+  | "expandSelectionAll"
+  | "selectNextSibling"
+  | "selectPreviousSibling"
+  | "selectFirstChild"
+  | "selectParent"
+  | "selectChildren"
+  | "selectParents"
+  | "nudgeUp"
+  | "nudgeDown"
+  | "nudgeLeft"
+  | "nudgeRight"
+  | "nudgeUpMore"
+  | "nudgeDownMore"
+  | "nudgeLeftMore"
+  | "nudgeRightMore"
+  | "reorderPrevious"
+  | "reorderNext"
+  | "reorderFirst"
+  | "reorderLast"
+  | "fontSizeUp"
+  | "fontSizeDown"
+  | "leadingUp"
+  | "leadingDown"
+  | "kerningUp"
+  | "kerningDown"
+  | "alignLeft"
+  | "alignRight"
+  | "fontWeightUp"
+  | "fontWeightDown"
+  | "bold"
+  | "italic";
+
+/**
+ * Command name -> comma separated key combos, null when disabled
+ */
+export type Keymap = Partial<
+  Record<KeymapCommand | (string & {}), string | null | false>
+>;
+
+/**
+ * Default key combos of the built-in commands
+ */
+export const defaultKeymap: Readonly<Record<KeymapCommand, string>>;
+
+/**
+ * Storage backend for autosaved drafts
+ */
+export interface StorageAdapter {
+  load(key: string): Promise<Draft | null>;
+  save(key: string, draft: Draft): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+
+/**
+ * Draft written by autosave
+ */
+export interface Draft {
+  version: number;
+  savedAt: number;
+  content: string;
+  history: SerializedHistory;
+}
+
+export interface AutosaveOptions {
+  /**
+   * Built-in adapter name or a custom adapter
+   * @default 'localStorage'
+   */
+  adapter?: "localStorage" | "indexedDB" | "memory" | StorageAdapter;
+
+  /**
+   * Key the draft is stored under
+   * @default 'default'
+   */
+  key?: string;
+
+  /**
+   * Milliseconds to wait after the last edit before writing
+   * @default 1000
+   */
+  delay?: number;
+}
+
+export function createLocalStorageAdapter(options?: {
+  prefix?: string;
+}): StorageAdapter;
+
+export function createIndexedDBAdapter(options?: {
+  dbName?: string;
+  storeName?: string;
+}): StorageAdapter;
+
+export function createMemoryAdapter(): StorageAdapter & {
+  drafts: Map<string, Draft>;
+};
+
+export interface RefreshOptions {
+  /**
+   * Reselect the elements at the same positions in the new content
+   * @default false
+   */
+  restoreSelection?: boolean;
+}
+
+export interface SetContentOptions extends RefreshOptions {
+  /**
+   * Remove scripts, event handlers and script URLs from the HTML first
+   * @default true
+   */
+  sanitize?: boolean;
+}
+
+/**
+ * Where sanitized HTML comes from: an element paste, a paste into an
+ * element being edited, or setContent() and elements copied in the editor.
+ * 'content' skips the allowlist and plainText.
+ */
+export type SanitizeSource = "paste" | "text" | "content";
+
+export interface SanitizeOptions {
+  /** Allowed tags, others are unwrapped so their text survives */
+  tags?: string[];
+  /** Allowed attributes by tag, "*" applies to every tag, "data-*" matches a prefix */
+  attributes?: Record<string, string[]>;
+  /** Allowed style properties, a property also allows its longhands */
+  styles?: string[];
+  /**
+   * Keep only the text, with its line breaks
+   * @default false
+   */
+  plainText?: boolean;
+  /**
+   * Called after cleaning. Change the fragment in place or return a new one.
+   */
+  transform?:
+    | ((
+        fragment: DocumentFragment,
+        context: { source: SanitizeSource }
+      ) => DocumentFragment | void)
+    | null;
+}
+
+export const defaultSanitizeOptions: Required<SanitizeOptions>;
+
+export interface SanitizerAPI {
+  fragment(html: string, context?: { source?: SanitizeSource }): DocumentFragment;
+  sanitize(html: string, context?: { source?: SanitizeSource }): string;
+  readonly plainText: boolean;
+}
+
+export function Sanitizer(options?: SanitizeOptions): SanitizerAPI;
+
+/**
+ * Runs before HistoryManager records a change. The DOM has already been
+ * mutated at this point.
+ *
+ * - Return `false` or throw to veto the edit; the DOM is rolled back
+ * - Return a `Change` (the same one after modifying it, or a new one) to
+ *   apply and record it instead
+ * - Return anything else to record the change as-is
+ *
+ * Multi-element edits arrive as a single `BatchChange`.
+ */
+export type BeforeChangeHook = (change: Change) => Change | boolean | void;
+
+/**
+ * Payload of the editor `change` event
+ */
+export interface EditorChangeEvent {
+  /**
+   * The change that was recorded, undone or redone
+   */
+  change: Change;
+
+  /**
+   * What happened to the change
+   */
+  action: "push" | "undo" | "redo";
+
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
+/**
+ * Events emitted by VisBugEditor, keyed by event name
+ */
+export interface VisBugEditorEventMap {
+  selectionchange: HTMLElement[];
+  toolchange: string;
+  change: EditorChangeEvent;
+  beforechange: Change;
+  "textedit:start": { element: HTMLElement };
+  "textedit:end": { element: HTMLElement; changed: boolean };
+  "drag:start": { element: HTMLElement | SVGElement; x: number; y: number };
+  "drag:move": { element: HTMLElement | SVGElement; x: number; y: number };
+  "drag:end": {
+    element: HTMLElement | SVGElement;
+    x: number;
+    y: number;
+    moved: boolean;
+  };
+  "resize:start": {
+    element: HTMLElement;
+    placement: string;
+    width: number;
+    height: number;
+  };
+  "resize:move": {
+    element: HTMLElement;
+    placement: string;
+    deltaX: number;
+    deltaY: number;
+  };
+  "resize:end": {
+    element: HTMLElement;
+    placement: string;
+    width: string;
+    height: string;
+  };
+  "image:drop": { targets: HTMLElement[]; srcs: string[] };
+  "autosave:draft": { savedAt: number };
+  "autosave:save": { key: string; savedAt: number };
+  "autosave:restore": { key: string; savedAt: number };
+  "autosave:error": { key: string; error: unknown };
+  keymapchange: Record<string, string | null>;
+  destroy: VisBugEditor;
+}
+
+/**
+ * Context handed to a tool factory on activation
+ */
+export interface ToolContext {
+  editor: VisBugEditor;
+  container: HTMLElement;
+  uiContainer: HTMLElement;
+  historyManager: HistoryManager;
+
+  /**
+   * Get the currently selected elements
+   */
+  selection(): HTMLElement[];
+
+  /**
+   * Replace the selection
+   */
+  select(elements: HTMLElement[]): void;
+
+  /**
+   * Bind a hotkey (hotkeys-js syntax). Bindings are released automatically
+   * when the tool is deactivated.
+   * @returns A function that unbinds the hotkey early
+   */
+  hotkeys(
+    keys: string,
+    handler: (event: KeyboardEvent, handler: { key: string }) => void
+  ): () => void;
+
+  /**
+   * Bind a handler to the keys the editor keymap assigns to a command.
+   * Follows later setKeymap() calls and is released on deactivation.
+   * @returns A function that unbinds the command early
+   */
+  bindCommand(
+    command: KeymapCommand | (string & {}),
+    handler: (event: KeyboardEvent) => void
+  ): () => void;
+
+  /**
+   * Run an editor command
+   */
+  execute: VisBugEditor["execute"];
+
+  /**
+   * Clean HTML with the editor's sanitizer
+   */
+  sanitize: VisBugEditor["sanitize"];
+
+  /**
+   * Emit an editor event
+   */
+  emit(eventName: string, data?: any): void;
+}
+
+type Direction = "up" | "down";
+
+/**
+ * Arguments of the built-in commands. Commands that edit elements act on
+ * `elements`, or the current selection when omitted.
+ */
+export interface CommandArgsMap {
+  clearSelection: {};
+  duplicate: { elements?: HTMLElement[] };
+  delete: { elements?: HTMLElement[] };
+  clearStyles: { elements?: HTMLElement[] };
+  /** Returns the CSS text of the first element */
+  copyStyles: { elements?: HTMLElement[] };
+  /** Pastes css, the copied styles, or CSS text from the clipboard */
+  pasteStyles: { css?: string; elements?: HTMLElement[] };
+  /** Overrides the groupWrapper option, returns the new wrapper */
+  group: { tag?: string; className?: string; elements?: HTMLElement[] };
+  /** Returns the former children */
+  ungroup: { elements?: HTMLElement[] };
+  /**
+   * Move elements among their siblings, or into parent before an element
+   * (null for the end). One undo step, returns the moved elements
+   */
+  reorder: {
+    to: "previous" | "next" | "first" | "last" | { parent: Element; before?: Element | null };
+    elements?: HTMLElement[];
+  };
+  /** Moves every selected element, never past the container; returns the new selection */
+  traverse: { to: "next" | "previous" | "child" | "parent" };
+  /** Replaces the selection with the children of elements */
+  selectChildren: { elements?: HTMLElement[] };
+  /** Replaces the selection with the parents of elements, inside the container */
+  selectParents: { elements?: HTMLElement[] };
+  /** Add elements with the same tag and classes, siblings or (all) the whole container */
+  expandSelection: { all?: boolean };
+  paste: {
+    /** Markup to paste, the elements last copied in this editor by default */
+    html?: string;
+    position?: PastePosition;
+    /** The first one is the paste target */
+    elements?: HTMLElement[];
+  };
+  nudge: {
+    direction: Direction | "left" | "right";
+    /** Pixels, defaults to 1 */
+    amount?: number;
+    elements?: Array<HTMLElement | SVGElement>;
+  };
+  /** Align to the selection's bounds or each element's parent, returns the moved elements */
+  alignElements: {
+    edge: "left" | "center" | "right" | "top" | "middle" | "bottom";
+    /** @default "selection" */
+    relativeTo?: "selection" | "parent";
+    elements?: Array<HTMLElement | SVGElement>;
+  };
+  /** Equal gaps between 3 or more elements, the outermost stay put; returns the moved elements */
+  distribute: {
+    direction: "horizontal" | "vertical";
+    elements?: Array<HTMLElement | SVGElement>;
+  };
+  fontSize: { direction: Direction; elements?: HTMLElement[] };
+  leading: { direction: Direction; elements?: HTMLElement[] };
+  kerning: { direction: Direction; elements?: HTMLElement[] };
+  fontWeight: { direction: Direction; elements?: HTMLElement[] };
+  align: { direction: "left" | "right"; elements?: HTMLElement[] };
+  bold: { elements?: HTMLElement[] };
+  italic: { elements?: HTMLElement[] };
+}
+
+/**
+ * Handler registered with registerCommand()
+ */
+export type CommandHandler<Args = any> = (
+  args: Args & { elements: HTMLElement[] },
+  editor: VisBugEditor
+) => any;
+
+/**
+ * An active tool instance
+ */
+export interface Tool {
+  /**
+   * Called with the selection whenever it changes (and on activation)
+   */
+  onNodesSelected?(elements: HTMLElement[]): void;
+
+  /**
+   * Called when the tool is deactivated
+   */
+  disconnect?(): void;
+}
+
+/**
+ * Creates a tool each time it is activated
+ */
+export type ToolFactory = (context: ToolContext) => Tool | void;
+
 /**
  * Main editor class for the visbug-editor library
  *
@@ -121,10 +617,59 @@ export class VisBugEditor {
    */
   constructor(options: VisBugEditorOptions);
 
+  /**
+   * Register an editing tool, or replace an existing one
+   */
+  registerTool(name: string, factory: ToolFactory): this;
+
+  /**
+   * Get the names of all registered tools
+   */
+  getTools(): string[];
+
   /**
    * Activate a specific editing tool
    */
-  activateTool(toolName: "position" | "text" | "font"): void;
+  activateTool(toolName: "position" | "text" | "font" | (string & {})): void;
+
+  /**
+   * Register a command for execute(). Registering a built-in name
+   * replaces the built-in.
+   */
+  registerCommand(name: string, handler: CommandHandler): this;
+
+  /**
+   * Run a command through the same code path as its keyboard shortcut
+   */
+  execute<K extends keyof CommandArgsMap>(
+    name: K,
+    ...args: {} extends CommandArgsMap[K]
+      ? [args?: CommandArgsMap[K]]
+      : [args: CommandArgsMap[K]]
+  ): any;
+  execute(name: string, args?: Record<string, any>): any;
+
+  /**
+   * Get the names of all registered commands
+   */
+  getCommands(): string[];
+
+  /**
+   * Change key combos by command name. Merged into the current keymap;
+   * null disables a command. Conflicts are reported with console.warn.
+   */
+  setKeymap(overrides: Keymap): this;
+
+  /**
+   * Get the key combos of all commands, e.g. to render a cheatsheet
+   */
+  getKeymap(): Record<string, string | null>;
+
+  /**
+   * Route hotkeys to this editor until the user interacts with another one.
+   * Clicking or focusing inside the container does this automatically.
+   */
+  claimHotkeys(): void;
 
   /**
    * Get the currently active tool
@@ -141,6 +686,13 @@ export class VisBugEditor {
    */
   selectElements(elements: HTMLElement[]): void;
 
+  /**
+   * Select the elements in the container matching a CSS selector,
+   * skipping ignored elements
+   * @returns The new selection
+   */
+  selectBySelector(selector: string): HTMLElement[];
+
   /**
    * Get currently selected elements
    */
@@ -183,6 +735,29 @@ export class VisBugEditor {
    */
   clearHistory(): void;
 
+  /**
+   * Export the undo/redo history as JSON. Save it together with
+   * getContent() taken at the same moment.
+   */
+  exportHistory(): SerializedHistory;
+
+  /**
+   * Restore exported history. Call after setContent() with the content
+   * that was saved alongside it.
+   */
+  importHistory(json: SerializedHistory | string): void;
+
+  /**
+   * Replace content and history with the autosaved draft.
+   * Resolves to false when there is no draft.
+   */
+  restoreDraft(): Promise<boolean>;
+
+  /**
+   * Delete the autosaved draft
+   */
+  clearDraft(): Promise<void>;
+
   /**
    * Get clean HTML content (without editor UI elements)
    */
@@ -191,17 +766,38 @@ export class VisBugEditor {
   /**
    * Set content (replaces all user content)
    */
-  setContent(htmlString: string): void;
+  setContent(htmlString: string, options?: SetContentOptions): void;
+
+  /**
+   * Clean HTML with the editor's sanitizer. Returns the HTML as is when
+   * the sanitize option is false.
+   */
+  sanitize(html: string, context?: { source?: SanitizeSource }): string;
+
+  /**
+   * Rebind selection, image drop targets and observers after the
+   * container's content was replaced without setContent()
+   */
+  refresh(options?: RefreshOptions): void;
 
   /**
    * Add event listener
+   * @returns A function that removes the listener
    */
-  on(eventName: string, callback: Function): void;
+  on<K extends keyof VisBugEditorEventMap>(
+    eventName: K,
+    callback: (data: VisBugEditorEventMap[K]) => void
+  ): () => void;
+  on(eventName: string, callback: (data: any) => void): () => void;
 
   /**
    * Remove event listener
    */
-  off(eventName: string, callback: Function): void;
+  off<K extends keyof VisBugEditorEventMap>(
+    eventName: K,
+    callback: (data: VisBugEditorEventMap[K]) => void
+  ): void;
+  off(eventName: string, callback: (data: any) => void): void;
 
   /**
    * Destroy the editor and clean up
@@ -228,6 +824,45 @@ export interface HistoryManagerOptions {
    * @default 1000
    */
   mergeTimeout?: number;
+
+  /**
+   * Veto or rewrite changes before they are recorded
+   */
+  beforeChange?: BeforeChangeHook;
+
+  /**
+   * Element that serialized element paths are relative to
+   * @default document.body
+   */
+  root?: Element;
+}
+
+/**
+ * Reference to a node in serialized history: a path of child indexes from
+ * the root, or from an entry in the `nodes` table for removed elements
+ */
+export interface SerializedNodeRef {
+  path: number[];
+  node?: number;
+}
+
+/**
+ * Serialized change. Extra fields depend on the change type.
+ */
+export interface SerializedChange {
+  type: string;
+  timestamp: number;
+  [field: string]: any;
+}
+
+/**
+ * History exported by HistoryManager.serialize()
+ */
+export interface SerializedHistory {
+  version: number;
+  undo: SerializedChange[];
+  redo: SerializedChange[];
+  nodes: Array<{ html: string } | { text: string }>;
 }
 
 /**
@@ -244,6 +879,11 @@ export class HistoryManager {
    */
   readonly mergeTimeout: number;
 
+  /**
+   * Veto or rewrite changes before they are recorded
+   */
+  beforeChange: BeforeChangeHook | null;
+
   /**
    * Create a new HistoryManager instance
    */
@@ -251,13 +891,27 @@ export class HistoryManager {
 
   /**
    * Add event listener
+   *
+   * - `change`: history state after any push, undo, redo or clear
+   * - `beforecommit`: a change is about to be recorded
+   * - `commit`: a change was recorded (or merged into the last one)
+   * - `undo` / `redo`: a change was undone or redone
+   * - `reject`: a change was vetoed by `beforeChange` and rolled back
    */
   on(event: "change", callback: (state: any) => void): void;
+  on(
+    event: "beforecommit" | "commit" | "undo" | "redo" | "reject",
+    callback: (change: Change) => void
+  ): void;
 
   /**
    * Remove event listener
    */
   off(event: "change", callback: (state: any) => void): void;
+  off(
+    event: "beforecommit" | "commit" | "undo" | "redo" | "reject",
+    callback: (change: Change) => void
+  ): void;
 
   /**
    * Record a change
@@ -305,26 +959,61 @@ export class HistoryManager {
    * Clear all history
    */
   clear(): void;
+
+  /**
+   * Export both stacks as JSON, with elements stored as paths relative to root
+   */
+  serialize(root?: Element): SerializedHistory;
+
+  /**
+   * Replace both stacks with serialized history. The DOM under root must
+   * match the content at the time serialize() was called.
+   */
+  load(json: SerializedHistory | string, root?: Element): this;
+
+  /**
+   * Create a HistoryManager from serialized history
+   */
+  static deserialize(
+    json: SerializedHistory | string,
+    root: Element,
+    options?: HistoryManagerOptions
+  ): HistoryManager;
+
+  /**
+   * Make a custom Change subclass serializable
+   */
+  static registerChangeType(
+    name: string,
+    ChangeClass: {
+      new (...args: any[]): Change;
+      deserialize(
+        data: any,
+        resolve: (ref: SerializedNodeRef | null) => Node | null,
+        deserializeChange: (data: SerializedChange) => Change
+      ): Change;
+    }
+  ): void;
 }
 
 /**
  * Base class for all changes
  */
-export abstract class Change {
+export class Change {
   /**
-   * The type of change
+   * When the change was created (ms since epoch)
    */
-  readonly type: string;
+  readonly timestamp: number;
 
   /**
    * Undo this change
    */
-  abstract undo(): void;
+  undo(): void;
 
   /**
    * Redo this change
    */
-  abstract redo(): void;
+  redo(): void;
 
   /**
    * Check if this change can be merged with another
@@ -335,6 +1024,14 @@ export abstract class Change {
    * Merge this change with another
    */
   merge(other: Change): Change;
+
+  /**
+   * Serialize to plain JSON. `ref` turns nodes into references.
+   */
+  serialize(
+    ref: (node: Node | null) => SerializedNodeRef | null,
+    serializeChange: (change: Change) => SerializedChange
+  ): object;
 }
 
 /**
@@ -342,11 +1039,16 @@ export abstract class Change {
  */
 export class StyleChange extends Change {
   readonly element: HTMLElement;
-  readonly property: string;
-  readonly oldValue: string;
-  readonly newValue: string;
-
-  constructor(element: HTMLElement, property: string, oldValue: string, newValue: string);
+  property: string;
+  oldValue: string;
+  newValue: string;
+
+  constructor(init: {
+    element: HTMLElement;
+    property: string;
+    oldValue: string;
+    newValue: string;
+  });
 }
 
 /**
@@ -354,10 +1056,32 @@ export class StyleChange extends Change {
  */
 export class TextChange extends Change {
   readonly element: HTMLElement;
-  readonly oldValue: string;
-  readonly newValue: string;
+  oldText: string;
+  newText: string;
+
+  constructor(init: { element: HTMLElement; oldText: string; newText: string });
+}
 
-  constructor(element: HTMLElement, oldValue: string, newValue: string);
+/**
+ * A rich text change recorded by the text tool. Undo/redo patch the
+ * element's existing child nodes, so markup and references to them survive.
+ */
+export class HTMLChange extends Change {
+  readonly element: HTMLElement;
+  oldHTML: string;
+  newHTML: string;
+  /** Typing checkpoints of one edit session share a group and merge within a second */
+  group: object | null;
+  /** Set when the checkpoint ended a word, later typing starts a new undo step */
+  sealed: boolean;
+
+  constructor(init: {
+    element: HTMLElement;
+    oldHTML: string;
+    newHTML: string;
+    group?: object | null;
+    sealed?: boolean;
+  });
 }
 
 /**
@@ -365,16 +1089,37 @@ export class TextChange extends Change {
  */
 export class AttributeChange extends Change {
   readonly element: HTMLElement;
-  readonly attribute: string;
-  readonly oldValue: string | null;
-  readonly newValue: string | null;
-
-  constructor(
-    element: HTMLElement,
-    attribute: string,
-    oldValue: string | null,
-    newValue: string | null
-  );
+  attribute: string;
+  oldValue: string | null;
+  newValue: string | null;
+
+  constructor(init: {
+    element: HTMLElement;
+    attribute: string;
+    oldValue: string | null;
+    newValue: string | null;
+  });
+}
+
+/**
+ * A structural change: insertion, removal or move of an element.
+ * A null `oldParent` means the element was inserted, a null `newParent`
+ * means it was removed.
+ */
+export class DOMChange extends Change {
+  readonly element: Element;
+  oldParent: Node | null;
+  oldNextSibling: Node | null;
+  newParent: Node | null;
+  newNextSibling: Node | null;
+
+  constructor(init: {
+    element: Element;
+    oldParent: Node | null;
+    oldNextSibling: Node | null;
+    newParent: Node | null;
+    newNextSibling: Node | null;
+  });
 }
 
 /**
@@ -452,6 +1197,11 @@ declare global {
     "visbug-label": HTMLElement;
     "visbug-hover": HTMLElement;
     "visbug-overlay": HTMLElement;
+    "visbug-formatbar": HTMLElement;
+    "visbug-marquee": HTMLElement;
+    "visbug-guides": HTMLElement;
+    "visbug-distance": HTMLElement;
+    "visbug-insertion": HTMLElement;
   }
 }
 